@@ -0,0 +1,267 @@
+// Background.js
+
+import {
+    starfieldVertexShaderSource,
+    starfieldFragmentShaderSource,
+    skyboxVertexShaderSource,
+    skyboxFragmentShaderSource,
+    compileShader,
+    createShaderProgram,
+} from './shaders.js';
+import { Random } from './Random.js';
+
+const { mat4 } = window;
+
+/**
+ * The six skybox images, in the order a scene lists them.
+ */
+const CUBE_FACE_TARGETS = [
+    'TEXTURE_CUBE_MAP_POSITIVE_X',
+    'TEXTURE_CUBE_MAP_NEGATIVE_X',
+    'TEXTURE_CUBE_MAP_POSITIVE_Y',
+    'TEXTURE_CUBE_MAP_NEGATIVE_Y',
+    'TEXTURE_CUBE_MAP_POSITIVE_Z',
+    'TEXTURE_CUBE_MAP_NEGATIVE_Z',
+];
+
+/**
+ * A procedurally generated sky of point-sprite stars. The same seed always gives the same sky.
+ *
+ * Star magnitudes are drawn so that fainter stars are more common, as in the real sky
+ * (about three times as many per magnitude step), and each star's size and brightness
+ * follow from its magnitude.
+ */
+export class Starfield {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} [options]
+     * @param {number} [options.seed=1] - Picks the sky.
+     * @param {number} [options.count=4000] - How many stars.
+     * @param {number} [options.brightestMagnitude=-1] - Magnitude of the brightest possible star.
+     * @param {number} [options.faintestMagnitude=6.5] - Magnitude of the faintest possible star.
+     * @param {number} [options.size=4] - Sprite diameter of the brightest stars, in CSS pixels.
+     */
+    constructor(gl, {
+        seed = 1,
+        count = 4000,
+        brightestMagnitude = -1,
+        faintestMagnitude = 6.5,
+        size = 4,
+    } = {}) {
+        this.gl = gl;
+        this.count = count;
+        this.programInfo = createProgramInfo(gl, starfieldVertexShaderSource, starfieldFragmentShaderSource,
+            ['a_Color', 'a_Size'], ['u_ViewMatrix', 'u_ProjectionMatrix', 'u_PointScale']);
+
+        const stars = generateStars(new Random(seed), count, brightestMagnitude, faintestMagnitude, size);
+        this.buffers = {};
+        for (const [name, data] of Object.entries(stars)) {
+            this.buffers[name] = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers[name]);
+            gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+        }
+    }
+
+    /**
+     * Draws the stars behind everything. Leaves its own program in use.
+     * @param {mat4} viewMatrix - The camera's view matrix. Only its rotation is used.
+     * @param {mat4} projectionMatrix - The camera's projection matrix.
+     */
+    draw(viewMatrix, projectionMatrix) {
+        const gl = this.gl;
+        const info = this.programInfo;
+
+        gl.useProgram(info.program);
+        gl.uniformMatrix4fv(info.uniforms.u_ViewMatrix, false, rotationOnly(viewMatrix));
+        gl.uniformMatrix4fv(info.uniforms.u_ProjectionMatrix, false, projectionMatrix);
+        const pointScale = gl.canvas.clientWidth ? gl.canvas.width / gl.canvas.clientWidth : 1;
+        gl.uniform1f(info.uniforms.u_PointScale, pointScale);
+
+        bindAttribute(gl, this.buffers.positions, 0, 3);
+        bindAttribute(gl, this.buffers.colors, info.attributes.a_Color, 4);
+        bindAttribute(gl, this.buffers.sizes, info.attributes.a_Size, 1);
+
+        // Behind everything, and overlapping sprites add up
+        gl.disable(gl.DEPTH_TEST);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.drawArrays(gl.POINTS, 0, this.count);
+        gl.disable(gl.BLEND);
+        gl.enable(gl.DEPTH_TEST);
+    }
+}
+
+/**
+ * A sky from six images, one per cube face. Nothing is drawn until all six have loaded.
+ */
+export class Skybox {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {string[]} faceUrls - Images for the +X, -X, +Y, -Y, +Z and -Z faces, in that order.
+     *                              They must be square and all the same size.
+     */
+    constructor(gl, faceUrls) {
+        if (faceUrls.length !== 6) {
+            throw new Error(`A skybox needs 6 face images, got ${faceUrls.length}.`);
+        }
+        this.gl = gl;
+        this.isLoaded = false;
+        this.programInfo = createProgramInfo(gl, skyboxVertexShaderSource, skyboxFragmentShaderSource,
+            [], ['u_ViewMatrix', 'u_ProjectionMatrix', 'u_Skybox']);
+
+        // --- 1. A unit cube, seen from inside ---
+        this.positionBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+            -1, -1, -1, 1, -1, -1, 1, 1, -1, -1, 1, -1,
+            -1, -1, 1, 1, -1, 1, 1, 1, 1, -1, 1, 1,
+        ]), gl.STATIC_DRAW);
+        this.indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([
+            0, 1, 2, 0, 2, 3, // -Z
+            4, 6, 5, 4, 7, 6, // +Z
+            0, 3, 7, 0, 7, 4, // -X
+            1, 5, 6, 1, 6, 2, // +X
+            0, 4, 5, 0, 5, 1, // -Y
+            3, 2, 6, 3, 6, 7, // +Y
+        ]), gl.STATIC_DRAW);
+
+        // --- 2. Load the faces in the background ---
+        this.texture = gl.createTexture();
+        let remaining = 6;
+        faceUrls.forEach((url, i) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+                gl.texImage2D(gl[CUBE_FACE_TARGETS[i]], 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+                if (--remaining === 0) {
+                    this._finishLoading();
+                }
+            };
+            image.onerror = () => console.error(`Failed to load skybox face ${url}, the sky will stay empty.`);
+            image.src = url;
+        });
+    }
+
+    /**
+     * Private helper that sets up filtering once every face is in.
+     */
+    _finishLoading() {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        this.isLoaded = true;
+    }
+
+    /**
+     * Draws the sky behind everything. Leaves its own program in use.
+     * @param {mat4} viewMatrix - The camera's view matrix. Only its rotation is used.
+     * @param {mat4} projectionMatrix - The camera's projection matrix.
+     */
+    draw(viewMatrix, projectionMatrix) {
+        if (!this.isLoaded) {
+            return;
+        }
+        const gl = this.gl;
+        const info = this.programInfo;
+
+        gl.useProgram(info.program);
+        gl.uniformMatrix4fv(info.uniforms.u_ViewMatrix, false, rotationOnly(viewMatrix));
+        gl.uniformMatrix4fv(info.uniforms.u_ProjectionMatrix, false, projectionMatrix);
+
+        // Unit 3: the bodies' shaders already use 0 to 2
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+        gl.uniform1i(info.uniforms.u_Skybox, 3);
+
+        bindAttribute(gl, this.positionBuffer, 0, 3);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+
+        gl.disable(gl.DEPTH_TEST);
+        gl.drawElements(gl.TRIANGLES, 36, gl.UNSIGNED_SHORT, 0);
+        gl.enable(gl.DEPTH_TEST);
+    }
+}
+
+/**
+ * Private helper that builds the star attributes.
+ * @returns {object} { positions, colors, sizes } as Float32Arrays.
+ */
+function generateStars(random, count, brightestMagnitude, faintestMagnitude, size) {
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 4);
+    const sizes = new Float32Array(count);
+
+    // Inverse of the cumulative count N(< m) ~ 10^(0.5 m)
+    const k = 0.5;
+    const low = 10 ** (k * brightestMagnitude);
+    const high = 10 ** (k * faintestMagnitude);
+
+    for (let i = 0; i < count; i++) {
+        positions.set(random.unitVector(), i * 3);
+
+        const magnitude = Math.log10(low + random.next() * (high - low)) / k;
+        // Each magnitude is 2.5 times fainter. The fourth root compresses it the way the eye does,
+        // so faint stars stay visible.
+        const flux = 10 ** (-0.4 * (magnitude - brightestMagnitude));
+        const intensity = flux ** 0.25;
+
+        // Hot stars are bluish, cool ones orange
+        const temperature = random.next();
+        const tint = temperature < 0.5
+            ? mix([0.75, 0.85, 1.0], [1, 1, 1], temperature * 2)
+            : mix([1, 1, 1], [1.0, 0.8, 0.6], (temperature - 0.5) * 2);
+
+        colors.set([...tint, intensity], i * 4);
+        sizes[i] = Math.max(1.5, size * intensity);
+    }
+    return { positions, colors, sizes };
+}
+
+function mix(a, b, t) {
+    return a.map((value, i) => value + (b[i] - value) * t);
+}
+
+/**
+ * Private helper that drops the translation from a view matrix, so the camera only turns.
+ */
+function rotationOnly(viewMatrix) {
+    const rotation = mat4.clone(viewMatrix);
+    rotation[12] = rotation[13] = rotation[14] = 0;
+    return rotation;
+}
+
+function bindAttribute(gl, buffer, location, size) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(location);
+}
+
+/**
+ * Private helper that builds a program and looks up the named locations.
+ * a_Position is always at location 0 (see createShaderProgram).
+ */
+function createProgramInfo(gl, vertexSource, fragmentSource, attributeNames, uniformNames) {
+    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+    const program = vertexShader && fragmentShader
+        ? createShaderProgram(gl, vertexShader, fragmentShader)
+        : null;
+    if (!program) {
+        throw new Error('Could not build the background shader program.');
+    }
+
+    const info = { program, attributes: {}, uniforms: {} };
+    for (const name of attributeNames) {
+        info.attributes[name] = gl.getAttribLocation(program, name);
+    }
+    for (const name of uniformNames) {
+        info.uniforms[name] = gl.getUniformLocation(program, name);
+    }
+    return info;
+}
@@ -0,0 +1,278 @@
+// Belt.js
+
+import { instancedVertexShaderSource, fragmentShaderSource, compileShader, createShaderProgram } from './shaders.js';
+import { computeBoundingSphere } from './MeshUtils.js';
+import { Material } from './Material.js';
+import { Random } from './Random.js';
+
+const { mat4 } = window;
+
+/**
+ * Per-instance attributes: name in the shader, components, key in generateBelt()'s result.
+ */
+const INSTANCE_ATTRIBUTES = [
+    ['a_Orbit', 4, 'orbits'],
+    ['a_Spin', 4, 'spins'],
+    ['a_Color', 4, 'colors'],
+    ['a_Size', 1, 'sizes'],
+];
+
+/**
+ * Scatters the rocks of an asteroid belt or a planetary ring. The same seed always
+ * gives the same belt.
+ *
+ * Rocks are spread evenly over the ring's area, bunched towards its middle plane, and
+ * circle at Kepler's speed for their radius: the angular speed falls as r^-1.5, so the
+ * inner edge overtakes the outer one.
+ *
+ * @param {object} options
+ * @param {number} [options.seed=1] - Picks the belt.
+ * @param {number} options.count - How many rocks.
+ * @param {number} options.innerRadius - Where the belt starts.
+ * @param {number} options.outerRadius - Where the belt ends.
+ * @param {number} [options.thickness=0.2] - Almost every rock is within half of this above or below the plane.
+ * @param {number[]} [options.size=[0.05, 0.15]] - Smallest and largest rock radius, in world units.
+ * @param {number} [options.speed=1] - Angular speed at the inner edge, same units as an orbit's speed.
+ * @param {number[]} [options.color=[0.6, 0.55, 0.5, 1]] - RGBA of the brightest rocks.
+ * @param {number} [options.colorVariation=0.3] - How much darker the darkest rocks are, from 0 to 1.
+ * @returns {object} { orbits, spins, colors, sizes } as Float32Arrays, laid out for the shader.
+ */
+export function generateBelt({
+    seed = 1,
+    count,
+    innerRadius,
+    outerRadius,
+    thickness = 0.2,
+    size = [0.05, 0.15],
+    speed = 1,
+    color = [0.6, 0.55, 0.5, 1],
+    colorVariation = 0.3,
+}) {
+    const random = new Random(seed);
+    const orbits = new Float32Array(count * 4);
+    const spins = new Float32Array(count * 4);
+    const colors = new Float32Array(count * 4);
+    const sizes = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        // Even over the area, so the outer edge is not sparser than the inner one
+        const radius = Math.sqrt(random.range(innerRadius ** 2, outerRadius ** 2));
+        const height = Math.max(-thickness / 2, Math.min(thickness / 2, random.normal(0, thickness / 4)));
+        // Kepler's third law, halved like the planets' orbits (see StarSystem._update)
+        const angularSpeed = 0.5 * speed * (innerRadius / radius) ** 1.5;
+        orbits.set([radius, random.range(0, 2 * Math.PI), height, angularSpeed], i * 4);
+
+        spins.set([...random.unitVector(), random.range(-2, 2)], i * 4);
+
+        const shade = 1 - colorVariation * random.next();
+        colors.set([color[0] * shade, color[1] * shade, color[2] * shade, color[3]], i * 4);
+
+        // Many small rocks, few big ones
+        sizes[i] = size[0] + (size[1] - size[0]) * random.next() ** 3;
+    }
+    return { orbits, spins, colors, sizes };
+}
+
+/**
+ * An asteroid belt or planetary ring: thousands of copies of one small mesh, drawn in
+ * one call with ANGLE_instanced_arrays. Where the extension is missing each rock is
+ * drawn on its own instead, which looks the same but is far slower.
+ *
+ * Rocks are lit and eclipsed like the bodies, but cast no shadows themselves.
+ */
+export class Belt {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} model - Parsed model data { positions, normals, indices }, for one rock.
+     * @param {object} options - See generateBelt(), plus:
+     * @param {Material} [options.material] - How the rocks are lit.
+     */
+    constructor(gl, model, options) {
+        this.gl = gl;
+        this.count = options.count;
+        this.material = options.material ?? new Material({ ambient: 0.15 });
+        this.visible = true;
+        // Where the belt is centered and how it is tilted, set by its owner every frame
+        this.modelMatrix = mat4.create();
+
+        this.instancing = gl.getExtension('ANGLE_instanced_arrays');
+        if (!this.instancing) {
+            console.warn('ANGLE_instanced_arrays is not supported, belts are drawn one rock at a time.');
+        }
+        this.programInfo = getProgramInfo(gl);
+
+        // --- 1. The rock mesh, scaled to radius 1 so sizes are in world units ---
+        const meshRadius = computeBoundingSphere(model.positions).radius || 1;
+        const positions = model.positions.map(value => value / meshRadius);
+        if (model.indices instanceof Uint32Array && !gl.getExtension('OES_element_index_uint')) {
+            throw new Error('Belt meshes need fewer than 65,536 vertices on this device.');
+        }
+        this.indexType = model.indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+        this.indexCount = model.indices.length;
+        this.meshBuffers = {
+            position: createBuffer(gl, gl.ARRAY_BUFFER, positions),
+            normal: createBuffer(gl, gl.ARRAY_BUFFER, model.normals),
+            indices: createBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, model.indices),
+        };
+
+        // --- 2. The rocks ---
+        this.instances = generateBelt(options);
+        this.instanceBuffers = {};
+        for (const [, , key] of INSTANCE_ATTRIBUTES) {
+            this.instanceBuffers[key] = createBuffer(gl, gl.ARRAY_BUFFER, this.instances[key]);
+        }
+
+        // --- 3. A sphere around every rock, in the belt's own coordinates, for culling ---
+        const { orbits, sizes } = this.instances;
+        let radius = 0;
+        for (let i = 0; i < this.count; i++) {
+            radius = Math.max(radius, Math.hypot(orbits[i * 4], orbits[i * 4 + 2]) + sizes[i]);
+        }
+        this.boundingSphere = { center: [0, 0, 0], radius };
+    }
+
+    /**
+     * Draws every rock. Leaves its own program in use.
+     * @param {number} time - Simulated seconds, which sets where every rock is.
+     * @param {object} frame - What the bodies were drawn with this frame:
+     *   { viewMatrix, projectionMatrix, lightPosition, cameraPosition, shadowMap }.
+     *   shadowMap is null when shadows are off.
+     */
+    draw(time, { viewMatrix, projectionMatrix, lightPosition, cameraPosition, shadowMap }) {
+        if (!this.visible || this.count === 0) {
+            return;
+        }
+        const gl = this.gl;
+        const { program, attributes, uniforms } = this.programInfo;
+
+        // --- 1. The same lighting as the bodies ---
+        gl.useProgram(program);
+        gl.uniformMatrix4fv(uniforms.modelMatrix, false, this.modelMatrix);
+        gl.uniformMatrix4fv(uniforms.viewMatrix, false, viewMatrix);
+        gl.uniformMatrix4fv(uniforms.projectionMatrix, false, projectionMatrix);
+        gl.uniform1f(uniforms.time, time);
+        gl.uniform3fv(uniforms.lightPosition, lightPosition);
+        gl.uniform3fv(uniforms.cameraPosition, cameraPosition);
+        gl.uniform4fv(uniforms.color, [1, 1, 1, 1]); // The instances carry their own colors
+        this.material.apply(gl, uniforms);
+        gl.uniform1f(uniforms.highlight, 0);
+        gl.uniform1i(uniforms.useDiffuseMap, 0);
+        gl.uniform1i(uniforms.useEmissiveMap, 0);
+        if (shadowMap) {
+            shadowMap.apply(uniforms, 2);
+        } else {
+            gl.uniform1i(uniforms.useShadows, 0);
+        }
+
+        // --- 2. The rock mesh ---
+        bindAttribute(gl, this.meshBuffers.position, attributes.a_Position, 3);
+        bindAttribute(gl, this.meshBuffers.normal, attributes.a_Normal, 3);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.meshBuffers.indices);
+
+        // --- 3. Every rock in one call, or one call per rock without instancing ---
+        if (this.instancing) {
+            const ext = this.instancing;
+            for (const [name, size, key] of INSTANCE_ATTRIBUTES) {
+                bindAttribute(gl, this.instanceBuffers[key], attributes[name], size);
+                ext.vertexAttribDivisorANGLE(attributes[name], 1);
+            }
+            ext.drawElementsInstancedANGLE(gl.TRIANGLES, this.indexCount, this.indexType, 0, this.count);
+
+            // Other programs share these attribute slots and expect one value per vertex
+            for (const [name] of INSTANCE_ATTRIBUTES) {
+                ext.vertexAttribDivisorANGLE(attributes[name], 0);
+                gl.disableVertexAttribArray(attributes[name]);
+            }
+        } else {
+            for (const [name] of INSTANCE_ATTRIBUTES) {
+                gl.disableVertexAttribArray(attributes[name]);
+            }
+            const { orbits, spins, colors, sizes } = this.instances;
+            for (let i = 0; i < this.count; i++) {
+                gl.vertexAttrib4fv(attributes.a_Orbit, orbits.subarray(i * 4, i * 4 + 4));
+                gl.vertexAttrib4fv(attributes.a_Spin, spins.subarray(i * 4, i * 4 + 4));
+                gl.vertexAttrib4fv(attributes.a_Color, colors.subarray(i * 4, i * 4 + 4));
+                gl.vertexAttrib1f(attributes.a_Size, sizes[i]);
+                gl.drawElements(gl.TRIANGLES, this.indexCount, this.indexType, 0);
+            }
+        }
+    }
+}
+
+/**
+ * The belt program, built once per context and shared by every belt.
+ */
+const programInfos = new WeakMap();
+
+/**
+ * Private helper that builds (or reuses) the belt program and looks up its locations.
+ * The uniforms are named as in index.js, so Material and ShadowMap can set them.
+ */
+function getProgramInfo(gl) {
+    if (programInfos.has(gl)) {
+        return programInfos.get(gl);
+    }
+
+    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, instancedVertexShaderSource);
+    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSource);
+    const program = vertexShader && fragmentShader
+        ? createShaderProgram(gl, vertexShader, fragmentShader)
+        : null;
+    if (!program) {
+        throw new Error('Could not build the belt shader program.');
+    }
+
+    const attributes = {};
+    for (const name of ['a_Position', 'a_Normal', ...INSTANCE_ATTRIBUTES.map(([name]) => name)]) {
+        attributes[name] = gl.getAttribLocation(program, name);
+    }
+    const uniformNames = {
+        modelMatrix: 'u_ModelMatrix',
+        viewMatrix: 'u_ViewMatrix',
+        projectionMatrix: 'u_ProjectionMatrix',
+        time: 'u_Time',
+        color: 'u_Color',
+        lightPosition: 'u_LightPosition',
+        cameraPosition: 'u_CameraPosition',
+        ambient: 'u_Ambient',
+        diffuse: 'u_Diffuse',
+        specularColor: 'u_SpecularColor',
+        shininess: 'u_Shininess',
+        emissive: 'u_Emissive',
+        useDiffuseMap: 'u_UseDiffuseMap',
+        useEmissiveMap: 'u_UseEmissiveMap',
+        shadowMap: 'u_ShadowMap',
+        useShadows: 'u_UseShadows',
+        shadowBias: 'u_ShadowBias',
+        shadowFar: 'u_ShadowFar',
+        highlight: 'u_Highlight',
+    };
+    const uniforms = {};
+    for (const [key, name] of Object.entries(uniformNames)) {
+        uniforms[key] = gl.getUniformLocation(program, name);
+    }
+
+    // Same texture units as the bodies (see index.js). The maps are never sampled, but
+    // two samplers of different types may not share a unit.
+    gl.useProgram(program);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_DiffuseMap'), 0);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_EmissiveMap'), 1);
+    gl.uniform1i(uniforms.shadowMap, 2);
+
+    const info = { program, attributes, uniforms };
+    programInfos.set(gl, info);
+    return info;
+}
+
+function createBuffer(gl, target, data) {
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(target, buffer);
+    gl.bufferData(target, data, gl.STATIC_DRAW);
+    return buffer;
+}
+
+function bindAttribute(gl, buffer, location, size) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(location);
+}
@@ -0,0 +1,41 @@
+// Frustum.js
+
+/**
+ * Finds the six planes bounding what the camera sees (Gribb and Hartmann's method).
+ *
+ * @param {mat4} viewProjectionMatrix - projection × view.
+ * @returns {number[][]} Six [a, b, c, d] planes, normals unit length and pointing inwards:
+ *                       a point p is inside a plane when a*p.x + b*p.y + c*p.z + d >= 0.
+ */
+export function frustumPlanes(viewProjectionMatrix) {
+    const m = viewProjectionMatrix;
+    // gl-matrix is column-major, so row i is m[i], m[4 + i], m[8 + i], m[12 + i]
+    const row = (i) => [m[i], m[4 + i], m[8 + i], m[12 + i]];
+    const [x, y, z, w] = [row(0), row(1), row(2), row(3)];
+    const add = (a, b) => a.map((value, i) => value + b[i]);
+    const subtract = (a, b) => a.map((value, i) => value - b[i]);
+
+    // Left, right, bottom, top, near, far
+    return [add(w, x), subtract(w, x), add(w, y), subtract(w, y), add(w, z), subtract(w, z)].map(plane => {
+        const length = Math.hypot(plane[0], plane[1], plane[2]);
+        return plane.map(value => value / length);
+    });
+}
+
+/**
+ * Whether any part of a sphere may be visible. Spheres near a corner of the frustum can
+ * pass while being just outside it, which only costs drawing something unseen.
+ *
+ * @param {number[][]} planes - From frustumPlanes().
+ * @param {vec3} center - The sphere's center, in world space.
+ * @param {number} radius - The sphere's radius.
+ * @returns {boolean}
+ */
+export function sphereInFrustum(planes, center, radius) {
+    for (const [a, b, c, d] of planes) {
+        if (a * center[0] + b * center[1] + c * center[2] + d < -radius) {
+            return false;
+        }
+    }
+    return true;
+}
@@ -0,0 +1,325 @@
+// GLTFLoader.js
+
+import { computeNormals, createIndexArray } from './MeshUtils.js';
+
+const { mat3, mat4, vec3 } = window;
+
+/**
+ * Byte size, DataView getter and normalization divisor for every glTF componentType.
+ */
+const COMPONENT_TYPES = {
+    5120: { size: 1, read: 'getInt8', max: 127 },
+    5121: { size: 1, read: 'getUint8', max: 255 },
+    5122: { size: 2, read: 'getInt16', max: 32767 },
+    5123: { size: 2, read: 'getUint16', max: 65535 },
+    5125: { size: 4, read: 'getUint32', max: 4294967295 },
+    5126: { size: 4, read: 'getFloat32', max: 1 },
+};
+
+/**
+ * Number of components for every glTF accessor type.
+ */
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const GLB_CHUNK_JSON = 0x4e4f534a; // "JSON"
+const GLB_CHUNK_BIN = 0x004e4942; // "BIN\0"
+const MODE_TRIANGLES = 4;
+
+/**
+ * @param {ArrayBuffer} buffer - Raw file contents.
+ * @returns {boolean} Whether the buffer is a binary glTF (.glb) file.
+ */
+export function isGLB(buffer) {
+    return buffer.byteLength >= 12 && new DataView(buffer).getUint32(0, true) === GLB_MAGIC;
+}
+
+/**
+ * Splits a .glb file into its JSON document and its embedded binary chunk.
+ * @returns {{ json: object, binary: ArrayBuffer|null }}
+ */
+function parseGLB(buffer) {
+    const view = new DataView(buffer);
+    const version = view.getUint32(4, true);
+    if (version !== 2) {
+        throw new Error(`Unsupported glTF version ${version}, only 2.0 is supported.`);
+    }
+
+    let json = null;
+    let binary = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.byteLength) {
+        const chunkLength = view.getUint32(offset, true);
+        const chunkType = view.getUint32(offset + 4, true);
+        const chunk = buffer.slice(offset + 8, offset + 8 + chunkLength);
+        if (chunkType === GLB_CHUNK_JSON) {
+            json = JSON.parse(new TextDecoder().decode(chunk));
+        } else if (chunkType === GLB_CHUNK_BIN) {
+            binary = chunk;
+        }
+        offset += 8 + chunkLength;
+    }
+
+    if (!json) {
+        throw new Error('Invalid GLB file: no JSON chunk.');
+    }
+    return { json, binary };
+}
+
+/**
+ * Reads an accessor into a flat array of numbers, honoring the buffer view's stride
+ * and normalizing integer data when the accessor asks for it.
+ * @returns {Float32Array|Uint32Array} Float32Array for attributes, Uint32Array for indices.
+ */
+function readAccessor(gltf, buffers, accessorIndex, asIndices = false) {
+    const accessor = gltf.accessors[accessorIndex];
+    if (accessor.sparse) {
+        throw new Error(`glTF accessor ${accessorIndex} is sparse, which is not supported.`);
+    }
+
+    const size = TYPE_SIZES[accessor.type];
+    const componentType = COMPONENT_TYPES[accessor.componentType];
+    const result = new (asIndices ? Uint32Array : Float32Array)(accessor.count * size);
+
+    // An accessor without a buffer view is all zeros
+    if (accessor.bufferView === undefined) {
+        return result;
+    }
+
+    const bufferView = gltf.bufferViews[accessor.bufferView];
+    const view = new DataView(buffers[bufferView.buffer]);
+    const stride = bufferView.byteStride || size * componentType.size;
+    const baseOffset = (bufferView.byteOffset ?? 0) + (accessor.byteOffset ?? 0);
+
+    // Integer colors and UVs may be stored as fractions of the type's maximum
+    const divisor = accessor.normalized ? componentType.max : 1;
+
+    for (let i = 0; i < accessor.count; i++) {
+        for (let c = 0; c < size; c++) {
+            const value = view[componentType.read](baseOffset + i * stride + c * componentType.size, true);
+            result[i * size + c] = divisor === 1 ? value : Math.max(value / divisor, -1);
+        }
+    }
+    return result;
+}
+
+/**
+ * Fetches every buffer a glTF document uses: embedded data: URIs, external files
+ * relative to the document, or the binary chunk of a .glb.
+ * @returns {Promise<ArrayBuffer[]>}
+ */
+async function loadBuffers(gltf, url, binaryChunk) {
+    const baseUrl = new URL(url, document.baseURI);
+    return Promise.all((gltf.buffers ?? []).map(async (buffer, i) => {
+        if (buffer.uri === undefined) {
+            if (!binaryChunk) {
+                throw new Error(`glTF buffer ${i} has no uri and there is no GLB binary chunk.`);
+            }
+            return binaryChunk;
+        }
+        // fetch() understands data: URIs too, so both cases are the same here
+        const bufferUrl = new URL(buffer.uri, baseUrl).href;
+        const response = await fetch(bufferUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch glTF buffer ${buffer.uri}: ${response.statusText}`);
+        }
+        return response.arrayBuffer();
+    }));
+}
+
+/**
+ * Computes a node's local matrix from either "matrix" or translation/rotation/scale.
+ */
+function localMatrix(node) {
+    if (node.matrix) {
+        return mat4.clone(node.matrix);
+    }
+    return mat4.fromRotationTranslationScale(
+        mat4.create(),
+        node.rotation ?? [0, 0, 0, 1],
+        node.translation ?? [0, 0, 0],
+        node.scale ?? [1, 1, 1]
+    );
+}
+
+/**
+ * Turns a parsed glTF document into one merged geometry. Every mesh instance in the
+ * default scene is baked in with its node's world transform, and each primitive's
+ * base color factor (times any COLOR_0 attribute) becomes its vertex color.
+ *
+ * @param {object} gltf - The parsed JSON document.
+ * @param {ArrayBuffer[]} buffers - Its loaded buffers.
+ * @param {object} [options] - Used if a primitive has no normals (see computeNormals).
+ * @returns {object} { positions, normals, indices } and, when present, { uvs, colors }.
+ */
+function buildGeometry(gltf, buffers, options) {
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const colors = [];
+    const indices = [];
+    let hasUVs = false;
+    let hasColors = false;
+
+    const addPrimitive = (primitive, worldMatrix) => {
+        if ((primitive.mode ?? MODE_TRIANGLES) !== MODE_TRIANGLES) {
+            console.warn(`Skipping a glTF primitive with mode ${primitive.mode}, only triangles are supported.`);
+            return;
+        }
+        const attributes = primitive.attributes;
+        if (attributes.POSITION === undefined) {
+            return;
+        }
+
+        let part = {
+            positions: readAccessor(gltf, buffers, attributes.POSITION),
+            indices: primitive.indices !== undefined
+                ? readAccessor(gltf, buffers, primitive.indices, true)
+                : null,
+        };
+        const vertexCount = part.positions.length / 3;
+        if (!part.indices) {
+            part.indices = Uint32Array.from({ length: vertexCount }, (_, i) => i);
+        }
+        if (attributes.NORMAL !== undefined) {
+            part.normals = readAccessor(gltf, buffers, attributes.NORMAL);
+        }
+        if (attributes.TEXCOORD_0 !== undefined) {
+            part.uvs = readAccessor(gltf, buffers, attributes.TEXCOORD_0);
+        }
+        if (attributes.COLOR_0 !== undefined) {
+            const colorSize = TYPE_SIZES[gltf.accessors[attributes.COLOR_0].type];
+            const raw = readAccessor(gltf, buffers, attributes.COLOR_0);
+            part.colors = new Float32Array(vertexCount * 4);
+            for (let v = 0; v < vertexCount; v++) {
+                for (let c = 0; c < 4; c++) {
+                    part.colors[v * 4 + c] = c < colorSize ? raw[v * colorSize + c] : 1;
+                }
+            }
+        }
+        if (!part.normals) {
+            part = computeNormals(part, options);
+        }
+
+        const material = gltf.materials?.[primitive.material];
+        const baseColor = material?.pbrMetallicRoughness?.baseColorFactor ?? [1, 1, 1, 1];
+        if (material || part.colors) {
+            hasColors = true;
+        }
+        if (part.uvs) {
+            hasUVs = true;
+        }
+
+        // --- Bake the node transform into the vertices ---
+        const normalMatrix = mat3.normalFromMat4(mat3.create(), worldMatrix) ?? mat3.create();
+        const first = positions.length / 3;
+        const count = part.positions.length / 3;
+        const p = [0, 0, 0];
+        const n = [0, 0, 0];
+        for (let v = 0; v < count; v++) {
+            vec3.transformMat4(p, part.positions.subarray(v * 3, v * 3 + 3), worldMatrix);
+            positions.push(p[0], p[1], p[2]);
+
+            vec3.transformMat3(n, part.normals.subarray(v * 3, v * 3 + 3), normalMatrix);
+            vec3.normalize(n, n);
+            normals.push(n[0], n[1], n[2]);
+
+            // glTF puts the UV origin top-left, the other loaders (and WebGL) bottom-left
+            uvs.push(part.uvs ? part.uvs[v * 2] : 0, part.uvs ? 1 - part.uvs[v * 2 + 1] : 0);
+            for (let c = 0; c < 4; c++) {
+                colors.push(baseColor[c] * (part.colors ? part.colors[v * 4 + c] : 1));
+            }
+        }
+        for (const index of part.indices) {
+            indices.push(first + index);
+        }
+    };
+
+    const visit = (nodeIndex, parentMatrix) => {
+        const node = gltf.nodes[nodeIndex];
+        const worldMatrix = mat4.multiply(mat4.create(), parentMatrix, localMatrix(node));
+        if (node.mesh !== undefined) {
+            for (const primitive of gltf.meshes[node.mesh].primitives) {
+                addPrimitive(primitive, worldMatrix);
+            }
+        }
+        for (const child of node.children ?? []) {
+            visit(child, worldMatrix);
+        }
+    };
+
+    // Use the default scene; without scenes, every mesh is drawn once, untransformed
+    const scene = gltf.scenes?.[gltf.scene ?? 0];
+    if (scene) {
+        for (const nodeIndex of scene.nodes ?? []) {
+            visit(nodeIndex, mat4.create());
+        }
+    } else {
+        for (const mesh of gltf.meshes ?? []) {
+            for (const primitive of mesh.primitives) {
+                addPrimitive(primitive, mat4.create());
+            }
+        }
+    }
+
+    if (positions.length === 0) {
+        throw new Error('The glTF file contains no triangle meshes.');
+    }
+
+    const geometry = {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        indices: createIndexArray(indices),
+    };
+    if (hasUVs) {
+        geometry.uvs = new Float32Array(uvs);
+    }
+    if (hasColors) {
+        geometry.colors = new Float32Array(colors);
+    }
+    return geometry;
+}
+
+/**
+ * Parses a glTF 2.0 file, either the .gltf JSON form or the binary .glb form.
+ *
+ * @param {ArrayBuffer} buffer - The raw file contents.
+ * @param {string} url - Where the file came from, to resolve external buffers.
+ * @param {object} [options] - See buildGeometry.
+ * @returns {Promise<object>} The merged geometry.
+ */
+export async function parseGLTF(buffer, url, options = {}) {
+    const { json, binary } = isGLB(buffer)
+        ? parseGLB(buffer)
+        : { json: JSON.parse(new TextDecoder().decode(buffer)), binary: null };
+
+    const version = json.asset?.version;
+    if (!version || !version.startsWith('2.')) {
+        throw new Error(`Unsupported glTF version "${version}", only 2.0 is supported.`);
+    }
+
+    const buffers = await loadBuffers(json, url, binary);
+    return buildGeometry(json, buffers, options);
+}
+
+/**
+ * Fetches a .gltf or .glb file from the given URL and parses it.
+ *
+ * @param {string} url - The path to the glTF file.
+ * @param {object} [options] - Used if a primitive has no normals (see computeNormals).
+ * @returns {Promise<object>} A promise that resolves with the merged geometry
+ * { positions, normals, indices } and, when present, { uvs, colors }.
+ */
+export async function loadGLTF(url, options = {}) {
+    try {
+        console.log(`Loading glTF: ${url}`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+        }
+        return await parseGLTF(await response.arrayBuffer(), url, options);
+    } catch (error) {
+        console.error(`Error loading glTF file ${url}: `, error);
+        throw error;
+    }
+}
@@ -1,25 +1,164 @@
-const { mat4 } = window;
+import { splitMesh, computeBoundingSphere } from './MeshUtils.js';
+import { Material } from './Material.js';
+import { sphereInFrustum } from './Frustum.js';
+
+const { mat4, vec3 } = window;
 
 export class GameObject {
     /**
      * Creates a new renderable object.
+     * Objects form a tree: each one is placed relative to its parent, so children
+     * (moons, rings, satellites) follow their parent's motion.
      * @param {WebGLRenderingContext} gl - The WebGL context.
      * @param {object} programInfo - Locations for shaders (attributes, uniforms).
-     * @param {object} model - Parsed model data { positions, indices }.
+     * @param {object|null} model - Parsed model data { positions, normals, indices, uvs?, colors? }, or null for
+     *                              an invisible node that only groups its children.
      * @param {number[]} color - The RGBA color for this object (e.g., [1, 0, 0, 1] for red).
+     * @param {Material} [material] - How the surface is lit. Use Material.emissive() for the star.
+     * @throws {Error} If the model has no normals. The loaders generate them, so only
+     *                 hand-built geometry can lack them: see computeNormals() in MeshUtils.js.
      */
-    constructor(gl, programInfo, model, color, isEmissive = false) {
+    constructor(gl, programInfo, model, color = [1, 1, 1, 1], material = new Material()) {
+        if (model && (!model.normals || model.normals.length === 0)) {
+            throw new Error('Model has no normals: generate them with computeNormals() before drawing it.');
+        }
         this.gl = gl;
         this.programInfo = programInfo;
         this.color = color;
-        this.indicesCount = model.indices.length;
-        this.modelMatrix = mat4.create();
-        this.buffers = this._createBuffers(model);
-        // A check to see if normals were loaded
-        if (!model.normals || model.normals.length === 0) {
-            console.warn("Model is missing normals! Lighting will be incorrect.");
-        }
-        this.isEmissive = isEmissive;
+
+        // Transform relative to the parent, and the cached result relative to the world
+        this.localMatrix = mat4.create();
+        this.worldMatrix = mat4.create();
+        this.parent = null;
+        this.children = [];
+        this.visible = true;
+        this.castsShadow = true; // Emissive objects never do, see drawDepth()
+        this.highlighted = false; // Drawn with a rim of light, e.g. when selected
+
+        // Usually one part; more when a large mesh had to be split for 16-bit indices
+        this.parts = model ? this._createParts(model) : [];
+        // Simpler stand-ins for when the object looks small, see addLevelOfDetail()
+        this.levelsOfDetail = [];
+        // In the model's own coordinates, for picking and culling
+        this.boundingSphere = model ? computeBoundingSphere(model.positions) : null;
+        this.material = material;
+
+        // Optional Textures (see Texture.js), drawn with the model's UVs
+        this.diffuseMap = null;
+        this.emissiveMap = null; // Night-side lights
+    }
+
+    /**
+     * Whether the object glows by itself (like the star) rather than only reflecting light.
+     * @returns {boolean}
+     */
+    get isEmissive() {
+        return this.material.emissive > 0;
+    }
+
+    /**
+     * Adds a simpler mesh to draw instead while the object looks small on screen.
+     * It should have the same shape and size as the full mesh, or the object will pop.
+     * @param {object} model - Parsed model data, as for the constructor.
+     * @param {number} maxScreenSize - Used while the object spans at most this many pixels across.
+     */
+    addLevelOfDetail(model, maxScreenSize) {
+        this.levelsOfDetail.push({ parts: this._createParts(model), maxScreenSize });
+        // Smallest first, so the first level that fits is the simplest one allowed
+        this.levelsOfDetail.sort((a, b) => a.maxScreenSize - b.maxScreenSize);
+    }
+
+    /**
+     * Attaches a child, detaching it from its previous parent first.
+     * @param {GameObject} child - The object to attach.
+     * @returns {GameObject} The child, for chaining.
+     */
+    addChild(child) {
+        if (child.parent) {
+            child.parent.removeChild(child);
+        }
+        child.parent = this;
+        this.children.push(child);
+        return child;
+    }
+
+    /**
+     * Detaches a child. Does nothing if it is not one of ours.
+     * @param {GameObject} child - The object to detach.
+     */
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index !== -1) {
+            this.children.splice(index, 1);
+            child.parent = null;
+        }
+    }
+
+    /**
+     * Recomputes the world matrix of this object and all of its descendants.
+     * Call it on the root once per frame, after the local matrices have been set.
+     * @param {mat4} [parentWorldMatrix] - The parent's world matrix (identity for the root).
+     */
+    updateWorldMatrix(parentWorldMatrix) {
+        if (parentWorldMatrix) {
+            mat4.multiply(this.worldMatrix, parentWorldMatrix, this.localMatrix);
+        } else {
+            mat4.copy(this.worldMatrix, this.localMatrix);
+        }
+
+        for (const child of this.children) {
+            child.updateWorldMatrix(this.worldMatrix);
+        }
+    }
+
+    /**
+     * The bounding sphere moved, turned and scaled along with the object.
+     * Non-uniform scales grow the radius by the largest axis scale, so it still encloses the mesh.
+     * @returns {{ center: vec3, radius: number }|null} In world space, null for invisible nodes.
+     */
+    getWorldBoundingSphere() {
+        if (!this.boundingSphere) {
+            return null;
+        }
+        const center = vec3.transformMat4(vec3.create(), this.boundingSphere.center, this.worldMatrix);
+        const m = this.worldMatrix;
+        const scale = Math.max(
+            Math.hypot(m[0], m[1], m[2]),
+            Math.hypot(m[4], m[5], m[6]),
+            Math.hypot(m[8], m[9], m[10])
+        );
+        return { center, radius: this.boundingSphere.radius * scale };
+    }
+
+    /**
+     * Private helper that uploads a model, working around the 65,535 vertex limit of
+     * 16-bit indices. 32-bit indices need the OES_element_index_uint extension; without
+     * it the mesh is split into pieces small enough for 16-bit indices.
+     * @returns {object[]} The drawable parts: { buffers, indicesCount, indexType }.
+     */
+    _createParts(model) {
+        const gl = this.gl;
+
+        if (!(model.indices instanceof Uint32Array)) {
+            return [{ buffers: this._createBuffers(model), indicesCount: model.indices.length, indexType: gl.UNSIGNED_SHORT }];
+        }
+
+        if (gl.getExtension('OES_element_index_uint')) {
+            return [{ buffers: this._createBuffers(model), indicesCount: model.indices.length, indexType: gl.UNSIGNED_INT }];
+        }
+
+        if (model.indices.length % 3 !== 0) {
+            throw new Error(
+                'Mesh has more than 65,535 vertices, OES_element_index_uint is not supported, ' +
+                'and its indices are not whole triangles, so it cannot be split either.'
+            );
+        }
+        console.warn('OES_element_index_uint is not supported, splitting a large mesh into 16-bit chunks.');
+        return splitMesh(model, 65536).map(chunk => ({
+            buffers: this._createBuffers(chunk),
+            indicesCount: chunk.indices.length,
+            indexType: gl.UNSIGNED_SHORT,
+        }));
     }
 
     /**
@@ -48,22 +187,165 @@ export class GameObject {
         // Pass the index data to the buffer
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, model.indices, gl.STATIC_DRAW);
 
+        // --- Create Texture Coordinate Buffer, if the model has UVs ---
+        let uvBuffer = null;
+        if (model.uvs) {
+            uvBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, uvBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, model.uvs, gl.STATIC_DRAW);
+        }
+
+        // --- Create Color Buffer Object, if the model has vertex colors ---
+        let colorBuffer = null;
+        if (model.colors) {
+            colorBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, colorBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, model.colors, gl.STATIC_DRAW);
+        }
+
         return {
             position: positionBuffer,
             indices: indexBuffer,
             normal: normalBuffer,
+            uv: uvBuffer,
+            color: colorBuffer,
         };
     }
 
     /**
-     * Draws the object to the screen.
+     * Draws the object and all of its visible descendants to the screen.
+     * @param {object} [view] - When given, objects outside the camera's view are skipped and
+     *   small ones use their simpler meshes: { planes, cameraPosition, pixelsPerUnit, stats }.
+     *   planes come from frustumPlanes(), pixelsPerUnit is how many pixels one world unit
+     *   spans at distance 1, and stats' { drawn, culled, reducedDetail } counters are increased.
+     */
+    draw(view) {
+        if (!this.visible) {
+            return;
+        }
+        if (this.parts.length > 0) {
+            const parts = view ? this._selectParts(view) : this.parts;
+            if (parts) {
+                this._drawSelf(parts);
+            }
+        }
+        for (const child of this.children) {
+            child.draw(view);
+        }
+    }
+
+    /**
+     * Private helper that culls the object, or picks the mesh to draw it with.
+     * @returns {object[]|null} The parts to draw, or null when out of view.
+     */
+    _selectParts({ planes, cameraPosition, pixelsPerUnit, stats }) {
+        const { center, radius } = this.getWorldBoundingSphere();
+        if (!sphereInFrustum(planes, center, radius)) {
+            stats.culled++;
+            return null;
+        }
+        stats.drawn++;
+
+        // Size on screen: the diameter, shrinking with distance. From inside, it fills the view.
+        const distance = Math.max(vec3.distance(center, cameraPosition), radius);
+        const screenSize = (2 * radius * pixelsPerUnit) / distance;
+        const level = this.levelsOfDetail.find(candidate => screenSize <= candidate.maxScreenSize);
+        if (!level) {
+            return this.parts;
+        }
+        stats.reducedDetail++;
+        return level.parts;
+    }
+
+    /**
+     * Draws the object and its visible descendants into a shadow map, positions only.
+     * Emissive objects are skipped: the star would otherwise shadow everything from inside.
+     * @param {object} depthProgramInfo - The shadow program's locations (see ShadowMap.js).
+     */
+    drawDepth(depthProgramInfo) {
+        if (!this.visible) {
+            return;
+        }
+        if (this.parts.length > 0 && this.castsShadow && !this.isEmissive) {
+            const gl = this.gl;
+            const position = depthProgramInfo.attribLocations.position;
+            gl.uniformMatrix4fv(depthProgramInfo.uniformLocations.modelMatrix, false, this.worldMatrix);
+
+            for (const part of this.parts) {
+                gl.bindBuffer(gl.ARRAY_BUFFER, part.buffers.position);
+                gl.vertexAttribPointer(position, 3, gl.FLOAT, false, 0, 0);
+                gl.enableVertexAttribArray(position);
+
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, part.buffers.indices);
+                gl.drawElements(gl.TRIANGLES, part.indicesCount, part.indexType, 0);
+            }
+        }
+        for (const child of this.children) {
+            child.drawDepth(depthProgramInfo);
+        }
+    }
+
+    /**
+     * Private helper that draws only this object's own mesh.
+     * @param {object[]} [parts=this.parts] - The full mesh, or one of its levels of detail.
      */
-    draw() {
+    _drawSelf(parts = this.parts) {
         const gl = this.gl;
         const info = this.programInfo;
 
-        // --- 1. Set up attributes ---
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.position);
+        // --- 1. Set unique uniforms for this object ---
+
+        // Set the model matrix
+        gl.uniformMatrix4fv(
+            info.uniformLocations.modelMatrix,
+            false, // Don't transpose
+            this.worldMatrix // The object's matrix, including its parents' transforms
+        );
+
+        // Set the color
+        gl.uniform4fv(
+            info.uniformLocations.color,
+            this.color
+        );
+
+        // Set the material (the star's is fully emissive, so lighting is ignored)
+        this.material.apply(gl, info.uniformLocations);
+        gl.uniform1f(info.uniformLocations.highlight, this.highlighted ? 1 : 0);
+
+        // Bind the textures that have finished loading, the shader falls back to the color
+        const useDiffuseMap = this.diffuseMap !== null && this.diffuseMap.isLoaded;
+        const useEmissiveMap = this.emissiveMap !== null && this.emissiveMap.isLoaded;
+        gl.uniform1i(info.uniformLocations.useDiffuseMap, useDiffuseMap ? 1 : 0);
+        gl.uniform1i(info.uniformLocations.useEmissiveMap, useEmissiveMap ? 1 : 0);
+        if (useDiffuseMap) {
+            this.diffuseMap.bind(0);
+        }
+        if (useEmissiveMap) {
+            this.emissiveMap.bind(1);
+        }
+
+        // --- 2. Draw every part of the mesh ---
+        for (const part of parts) {
+            this._bindAttributes(part.buffers);
+
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, part.buffers.indices);
+            gl.drawElements(
+                gl.TRIANGLES,      // Draw triangles
+                part.indicesCount, // Number of indices to draw
+                part.indexType,    // Type of the indices (16 or 32 bit)
+                0                  // Offset
+            );
+        }
+    }
+
+    /**
+     * Private helper that points the shader attributes at one part's buffers.
+     */
+    _bindAttributes(buffers) {
+        const gl = this.gl;
+        const info = this.programInfo;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.position);
         gl.vertexAttribPointer(
             info.attribLocations.position, // Attribute location
             3,         // Number of components per vertex (x, y, z)
@@ -74,7 +356,7 @@ export class GameObject {
         );
         gl.enableVertexAttribArray(info.attribLocations.position);
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.normal);
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.normal);
         gl.vertexAttribPointer(
             info.attribLocations.normal, // The new attribute location
             3,         // 3 components per normal (nx, ny, nz)
@@ -85,36 +367,24 @@ export class GameObject {
         );
         gl.enableVertexAttribArray(info.attribLocations.normal);
 
-        // --- 2. Set up index buffer ---
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.buffers.indices);
-
-        // --- 3. Set unique uniforms for this object ---
-
-        // Set the model matrix
-        gl.uniformMatrix4fv(
-            info.uniformLocations.modelMatrix,
-            false, // Don't transpose
-            this.modelMatrix // The object's personal matrix
-        );
-
-        // Set the color
-        gl.uniform4fv(
-            info.uniformLocations.color,
-            this.color
-        );
-
-        // Tell the shader if this object is the star
-        gl.uniform1i(
-            info.uniformLocations.isEmissive,
-            this.isEmissive ? 1 : 0 // 1 for true, 0 for false
-        );
+        if (buffers.uv) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.uv);
+            gl.vertexAttribPointer(info.attribLocations.texCoord, 2, gl.FLOAT, false, 0, 0);
+            gl.enableVertexAttribArray(info.attribLocations.texCoord);
+        } else {
+            // No UVs: every vertex samples the same texel
+            gl.disableVertexAttribArray(info.attribLocations.texCoord);
+            gl.vertexAttrib2f(info.attribLocations.texCoord, 0, 0);
+        }
 
-        // --- 4. Draw the object ---
-        gl.drawElements(
-            gl.TRIANGLES,      // Draw triangles
-            this.indicesCount, // Number of indices to draw
-            gl.UNSIGNED_SHORT, // Type of the indices
-            0                  // Offset
-        );
+        if (buffers.color) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.color);
+            gl.vertexAttribPointer(info.attribLocations.color, 4, gl.FLOAT, false, 0, 0);
+            gl.enableVertexAttribArray(info.attribLocations.color);
+        } else {
+            // No vertex colors: feed a constant white so only u_Color tints the object
+            gl.disableVertexAttribArray(info.attribLocations.color);
+            gl.vertexAttrib4f(info.attribLocations.color, 1, 1, 1, 1);
+        }
     }
-}
\ No newline at end of file
+}
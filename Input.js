@@ -0,0 +1,307 @@
+// Input.js
+
+/**
+ * How strongly each device moves the camera. Any of these can be overridden
+ * through the Input constructor, or changed later on input.sensitivity.
+ */
+const DEFAULT_SENSITIVITY = {
+    mouse: 0.01,        // Radians per pixel of pointer-locked mouse movement
+    wheel: 0.1,         // World units of zoom per wheel delta unit
+    touch: 0.01,        // Radians per pixel of one-finger drag
+    pinch: 0.1,         // World units of zoom per pixel the fingers spread or close
+    pan: 1,             // View heights per view height of two-finger drag
+    gamepadLook: 2.5,   // Radians per second at full stick
+    gamepadZoom: 30,    // World units per second at full stick
+    deadZone: 0.15,     // Stick deflection ignored as drift
+};
+
+/**
+ * Free-fly keys, as KeyboardEvent codes so they follow the key's position on any layout.
+ */
+const FLY_KEYS = {
+    forward: 'KeyW', back: 'KeyS',
+    left: 'KeyA', right: 'KeyD',
+    down: 'KeyQ', up: 'KeyE',
+};
+
+/**
+ * A tap is a touch that ends within this many pixels and milliseconds of where it began.
+ */
+const TAP_DISTANCE = 10;
+const TAP_DURATION = 300;
+
+/**
+ * Turns mouse, keyboard, touch and gamepad input into StarSystem camera actions
+ * (orbitCamera, zoomCamera, panCamera, flyCamera) and selections.
+ *
+ * - Mouse: click a body to select it, click empty space to toggle pointer-locked
+ *   looking around; the wheel zooms while looking around.
+ * - Keyboard: WASD, Q/E and Shift fly the FREE camera.
+ * - Touch: tap selects, one finger orbits, pinching zooms, two fingers pan.
+ * - Gamepad (standard mapping): the right stick looks around. The left stick zooms,
+ *   or in FREE mode flies, with the bumpers to sink and rise and the left stick
+ *   pressed in to boost.
+ */
+export class Input {
+    /**
+     * @param {HTMLCanvasElement} canvas - The canvas the scene is drawn on.
+     * @param {StarSystem} starSystem - The system whose camera to drive.
+     * @param {object} [sensitivity] - Overrides for DEFAULT_SENSITIVITY.
+     */
+    constructor(canvas, starSystem, sensitivity = {}) {
+        this.canvas = canvas;
+        this.starSystem = starSystem;
+        this.sensitivity = { ...DEFAULT_SENSITIVITY, ...sensitivity };
+
+        this.mouseLook = false;
+        this.pressedKeys = new Set();
+        this.touches = new Map(); // identifier -> { x, y }
+        this.tap = null;          // Where and when a possible tap began
+
+        this._listenToMouse();
+        this._listenToKeyboard();
+        this._listenToTouch();
+
+        // Keys and sticks are held rather than sent as events, so they are polled every frame
+        this.lastTime = null;
+        const poll = (time) => {
+            const deltaTime = this.lastTime === null ? 0 : (time - this.lastTime) * 0.001;
+            this.lastTime = time;
+            this.update(deltaTime);
+            requestAnimationFrame(poll);
+        };
+        requestAnimationFrame(poll);
+    }
+
+    /**
+     * Applies the held keys and the gamepad sticks.
+     * @param {number} deltaTime - Real seconds since the last update.
+     */
+    update(deltaTime) {
+        // --- 1. Keyboard ---
+        const keys = this.pressedKeys;
+        const axis = (positive, negative) => (keys.has(positive) ? 1 : 0) - (keys.has(negative) ? 1 : 0);
+        const boosted = keys.has('ShiftLeft') || keys.has('ShiftRight');
+        this.starSystem.flyCamera(
+            axis(FLY_KEYS.right, FLY_KEYS.left),
+            axis(FLY_KEYS.up, FLY_KEYS.down),
+            axis(FLY_KEYS.forward, FLY_KEYS.back),
+            deltaTime,
+            boosted
+        );
+
+        // --- 2. Gamepad ---
+        const gamepad = this._findGamepad();
+        if (gamepad) {
+            this._applyGamepad(gamepad, deltaTime);
+        }
+    }
+
+    /**
+     * Private helper that wires up clicking, pointer-locked looking around and the wheel.
+     */
+    _listenToMouse() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('click', async (event) => {
+            // Clicking a body selects it, clicking empty space clears the selection
+            if (document.pointerLockElement !== canvas) {
+                const [x, y] = this._canvasPoint(event);
+                if (this.starSystem.selectAt(x, y)) {
+                    return;
+                }
+            }
+            if (this.starSystem.cameraMode !== 'TOP') {
+                this.mouseLook = !this.mouseLook;
+                await canvas.requestPointerLock();
+            }
+        });
+
+        canvas.addEventListener('mousemove', (event) => {
+            if (document.pointerLockElement === canvas && this.mouseLook) {
+                const sensitivity = this.sensitivity.mouse;
+                this.starSystem.orbitCamera(-(event.movementX || 0) * sensitivity, -(event.movementY || 0) * sensitivity);
+            }
+        });
+
+        canvas.addEventListener('wheel', (event) => {
+            if (this.starSystem.cameraMode !== 'TOP' && this.mouseLook) {
+                // Stop the browser window from scrolling
+                event.preventDefault();
+
+                // deltaY is positive when scrolling down, which zooms out
+                this.starSystem.zoomCamera(event.deltaY * this.sensitivity.wheel);
+            }
+        });
+
+        document.addEventListener('pointerlockchange', () => {
+            if (document.pointerLockElement !== canvas) {
+                this.mouseLook = false;
+            }
+        });
+    }
+
+    /**
+     * Private helper that tracks the keys held down.
+     */
+    _listenToKeyboard() {
+        window.addEventListener('keydown', (event) => this.pressedKeys.add(event.code));
+        window.addEventListener('keyup', (event) => this.pressedKeys.delete(event.code));
+        // Keys released while the window is in the background never send keyup
+        window.addEventListener('blur', () => this.pressedKeys.clear());
+    }
+
+    /**
+     * Private helper that wires up tapping, one-finger orbiting and two-finger pinch and pan.
+     */
+    _listenToTouch() {
+        const canvas = this.canvas;
+        // Without this the browser scrolls and zooms the page instead
+        canvas.style.touchAction = 'none';
+        const options = { passive: false };
+
+        canvas.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            this._storeTouches(event);
+            const touch = event.changedTouches[0];
+            this.tap = this.touches.size === 1
+                ? { x: touch.clientX, y: touch.clientY, time: event.timeStamp }
+                : null;
+        }, options);
+
+        canvas.addEventListener('touchmove', (event) => {
+            event.preventDefault();
+            const before = this.touches;
+            this._storeTouches(event);
+            const after = this.touches;
+
+            // Only compare fingers that were down for both events
+            const moved = [...after.keys()].filter(id => before.has(id));
+            if (moved.length === 1) {
+                this._applyDrag(before.get(moved[0]), after.get(moved[0]));
+            } else if (moved.length >= 2) {
+                const [a, b] = moved;
+                this._applyPinch(before.get(a), before.get(b), after.get(a), after.get(b));
+            }
+
+            if (this.tap) {
+                const touch = after.values().next().value;
+                if (Math.hypot(touch.x - this.tap.x, touch.y - this.tap.y) > TAP_DISTANCE) {
+                    this.tap = null;
+                }
+            }
+        }, options);
+
+        const endTouch = (event) => {
+            event.preventDefault();
+            this._storeTouches(event);
+            if (this.tap && this.touches.size === 0 && event.timeStamp - this.tap.time < TAP_DURATION) {
+                const [x, y] = this._canvasPoint({ clientX: this.tap.x, clientY: this.tap.y });
+                this.starSystem.selectAt(x, y);
+            }
+            if (this.touches.size === 0) {
+                this.tap = null;
+            }
+        };
+        canvas.addEventListener('touchend', endTouch, options);
+        canvas.addEventListener('touchcancel', (event) => {
+            this.tap = null;
+            endTouch(event);
+        }, options);
+    }
+
+    /**
+     * Private helper that records where every finger on the canvas is now.
+     */
+    _storeTouches(event) {
+        this.touches = new Map();
+        for (const touch of event.targetTouches) {
+            this.touches.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+        }
+    }
+
+    /**
+     * Private helper for one finger: orbit, the same way as the mouse.
+     */
+    _applyDrag(from, to) {
+        const sensitivity = this.sensitivity.touch;
+        this.starSystem.orbitCamera(-(to.x - from.x) * sensitivity, -(to.y - from.y) * sensitivity);
+    }
+
+    /**
+     * Private helper for two fingers: their spread zooms, their midpoint pans.
+     */
+    _applyPinch(fromA, fromB, toA, toB) {
+        // Fingers moving apart zoom in
+        const spread = Math.hypot(toA.x - toB.x, toA.y - toB.y) - Math.hypot(fromA.x - fromB.x, fromA.y - fromB.y);
+        this.starSystem.zoomCamera(-spread * this.sensitivity.pinch);
+
+        // Drag the scene along with the fingers, so the camera moves the other way
+        const height = this.canvas.clientHeight || 1;
+        const moveX = ((toA.x + toB.x) - (fromA.x + fromB.x)) / 2 / height;
+        const moveY = ((toA.y + toB.y) - (fromA.y + fromB.y)) / 2 / height;
+        this.starSystem.panCamera(-moveX * this.sensitivity.pan, moveY * this.sensitivity.pan);
+    }
+
+    /**
+     * Private helper that finds the first connected gamepad, if any.
+     * @returns {Gamepad|null}
+     */
+    _findGamepad() {
+        if (!navigator.getGamepads) {
+            return null;
+        }
+        for (const gamepad of navigator.getGamepads()) {
+            if (gamepad && gamepad.connected) {
+                return gamepad;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Private helper that drives the camera from a standard-mapping gamepad.
+     */
+    _applyGamepad(gamepad, deltaTime) {
+        const stick = (index) => this._deadZone(gamepad.axes[index] ?? 0);
+        const pressed = (index) => Boolean(gamepad.buttons[index]?.pressed);
+        const sensitivity = this.sensitivity;
+
+        // --- 1. Right stick: look around (pushing up looks up) ---
+        const lookX = stick(2);
+        const lookY = stick(3);
+        if (lookX || lookY) {
+            const turn = sensitivity.gamepadLook * deltaTime;
+            this.starSystem.orbitCamera(-lookX * turn, -lookY * turn);
+        }
+
+        // --- 2. Left stick: fly in FREE mode, otherwise zoom (pushing up zooms in) ---
+        const moveX = stick(0);
+        const moveY = stick(1);
+        if (this.starSystem.cameraMode === 'FREE') {
+            const rise = (pressed(5) ? 1 : 0) - (pressed(4) ? 1 : 0);
+            this.starSystem.flyCamera(moveX, rise, -moveY, deltaTime, pressed(10));
+        } else if (moveY) {
+            this.starSystem.zoomCamera(moveY * sensitivity.gamepadZoom * deltaTime);
+        }
+    }
+
+    /**
+     * Private helper that ignores small stick deflections and rescales the rest to 0..1.
+     */
+    _deadZone(value) {
+        const deadZone = this.sensitivity.deadZone;
+        if (Math.abs(value) < deadZone) {
+            return 0;
+        }
+        return Math.sign(value) * (Math.abs(value) - deadZone) / (1 - deadZone);
+    }
+
+    /**
+     * Private helper that converts a page position into pixels from the canvas' top-left corner.
+     */
+    _canvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [event.clientX - rect.left, event.clientY - rect.top];
+    }
+}
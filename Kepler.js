@@ -0,0 +1,154 @@
+// Kepler.js
+
+/**
+ * Orbital elements are stored in radians:
+ * { semiMajorAxis, eccentricity, inclination, longitudeOfAscendingNode,
+ *   argumentOfPeriapsis, meanAnomalyAtEpoch }
+ *
+ * The reference plane is the world XZ plane with +Y as its normal, so an orbit with
+ * every angle at zero runs counter-clockwise seen from above, starting on the +X axis
+ * (the same path as rotating about Y and translating along X).
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Builds orbital elements from a scene "orbit" block whose angles are in degrees.
+ * A plain { radius } block becomes a circular orbit in the reference plane.
+ *
+ * @param {object} orbit - The validated orbit block.
+ * @returns {object} The orbital elements, in radians.
+ */
+export function elementsFromOrbit(orbit) {
+    return {
+        semiMajorAxis: orbit.semiMajorAxis ?? orbit.radius,
+        eccentricity: orbit.eccentricity ?? 0,
+        inclination: (orbit.inclination ?? 0) * DEG_TO_RAD,
+        longitudeOfAscendingNode: (orbit.longitudeOfAscendingNode ?? 0) * DEG_TO_RAD,
+        argumentOfPeriapsis: (orbit.argumentOfPeriapsis ?? 0) * DEG_TO_RAD,
+        meanAnomalyAtEpoch: (orbit.meanAnomalyAtEpoch ?? 0) * DEG_TO_RAD,
+    };
+}
+
+/**
+ * Solves Kepler's equation M = E - e * sin(E) for the eccentric anomaly E
+ * using Newton's method.
+ *
+ * @param {number} meanAnomaly - M, in radians.
+ * @param {number} eccentricity - e, in [0, 1).
+ * @returns {number} The eccentric anomaly E, in radians.
+ */
+export function solveKepler(meanAnomaly, eccentricity) {
+    // Wrap M into [-PI, PI] so the starting guess is always close
+    const M = meanAnomaly - 2 * Math.PI * Math.round(meanAnomaly / (2 * Math.PI));
+    if (eccentricity === 0) {
+        return M;
+    }
+
+    // Near-parabolic orbits converge badly from E = M, PI is a safe start there
+    let E = eccentricity < 0.8 ? M : Math.PI * Math.sign(M || 1);
+    for (let i = 0; i < 50; i++) {
+        const f = E - eccentricity * Math.sin(E) - M;
+        const step = f / (1 - eccentricity * Math.cos(E));
+        E -= step;
+        if (Math.abs(step) < 1e-12) {
+            break;
+        }
+    }
+    return E;
+}
+
+/**
+ * Computes where a body is along its orbit, relative to the body it orbits.
+ *
+ * @param {object} elements - The orbital elements (see elementsFromOrbit).
+ * @param {number} meanAnomaly - The current mean anomaly, in radians
+ *                               (not including the mean anomaly at epoch).
+ * @returns {{ position: number[], trueAnomaly: number, distance: number }}
+ */
+export function orbitalPosition(elements, meanAnomaly) {
+    const a = elements.semiMajorAxis;
+    const e = elements.eccentricity;
+
+    // --- 1. Position within the orbital plane (periapsis along +x) ---
+    const E = solveKepler(elements.meanAnomalyAtEpoch + meanAnomaly, e);
+    const xp = a * (Math.cos(E) - e);
+    const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    // --- 2. Rotate the plane into place ---
+    const [X, Y, Z] = rotateToReference(elements, xp, yp);
+
+    return {
+        // Reference frame (z = plane normal) -> world frame (y = up)
+        position: [X, Z, -Y],
+        trueAnomaly: Math.atan2(yp, xp),
+        distance: Math.hypot(xp, yp),
+    };
+}
+
+/**
+ * Samples the whole orbit, for drawing it as a closed line.
+ * Points are spaced evenly in eccentric anomaly, which keeps them close together
+ * around periapsis where the path bends most.
+ *
+ * @param {object} elements - The orbital elements (see elementsFromOrbit).
+ * @param {number} [segments=256] - How many points to return.
+ * @returns {Float32Array} x, y, z of each point, relative to the body being orbited.
+ */
+export function orbitPathPoints(elements, segments = 256) {
+    const a = elements.semiMajorAxis;
+    const e = elements.eccentricity;
+    const points = new Float32Array(segments * 3);
+
+    for (let i = 0; i < segments; i++) {
+        const E = (i / segments) * 2 * Math.PI;
+        const xp = a * (Math.cos(E) - e);
+        const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+        const [X, Y, Z] = rotateToReference(elements, xp, yp);
+        points.set([X, Z, -Y], i * 3);
+    }
+    return points;
+}
+
+/**
+ * Applies the argument of periapsis, inclination and longitude of the ascending node
+ * to a point in the orbital plane.
+ * @returns {number[]} The point in the reference frame, with z along the plane normal.
+ */
+function rotateToReference(elements, xp, yp) {
+    const cosO = Math.cos(elements.longitudeOfAscendingNode);
+    const sinO = Math.sin(elements.longitudeOfAscendingNode);
+    const cosW = Math.cos(elements.argumentOfPeriapsis);
+    const sinW = Math.sin(elements.argumentOfPeriapsis);
+    const cosI = Math.cos(elements.inclination);
+    const sinI = Math.sin(elements.inclination);
+
+    return [
+        (cosO * cosW - sinO * sinW * cosI) * xp + (-cosO * sinW - sinO * cosW * cosI) * yp,
+        (sinO * cosW + cosO * sinW * cosI) * xp + (-sinO * sinW + cosO * cosW * cosI) * yp,
+        (sinW * sinI) * xp + (cosW * sinI) * yp,
+    ];
+}
+
+/**
+ * Computes the velocity a body needs to follow its orbit under real gravity,
+ * for seeding a gravitational simulation from orbital elements.
+ *
+ * @param {object} elements - The orbital elements (see elementsFromOrbit).
+ * @param {number} mu - The gravitational parameter G * (M + m) of the pair.
+ * @returns {{ position: number[], velocity: number[] }} Both relative to the body being orbited.
+ */
+export function orbitalState(elements, mu) {
+    const a = elements.semiMajorAxis;
+    const e = elements.eccentricity;
+    const { position, trueAnomaly } = orbitalPosition(elements, 0);
+
+    // Velocity in the orbital plane, from the vis-viva equation
+    const p = a * (1 - e * e);
+    const speed = Math.sqrt(mu / p);
+    const vxp = -speed * Math.sin(trueAnomaly);
+    const vyp = speed * (e + Math.cos(trueAnomaly));
+
+    const [X, Y, Z] = rotateToReference(elements, vxp, vyp);
+    return { position, velocity: [X, Z, -Y] };
+}
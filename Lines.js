@@ -0,0 +1,190 @@
+// Lines.js
+
+import { lineVertexShaderSource, lineFragmentShaderSource, compileShader, createShaderProgram } from './shaders.js';
+
+const { mat4 } = window;
+
+/**
+ * A polyline on the GPU, drawn in one flat color. Each point has its own opacity.
+ */
+export class Line {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} [options]
+     * @param {number[]} [options.color=[1, 1, 1, 1]] - RGBA. The alpha scales every point's opacity.
+     * @param {boolean} [options.closed=false] - Whether to join the last point back to the first.
+     */
+    constructor(gl, { color = [1, 1, 1, 1], closed = false } = {}) {
+        this.gl = gl;
+        this.color = color;
+        this.mode = closed ? gl.LINE_LOOP : gl.LINE_STRIP;
+        this.visible = true;
+        this.vertexCount = 0;
+
+        this.positionBuffer = gl.createBuffer();
+        this.alphaBuffer = gl.createBuffer();
+    }
+
+    /**
+     * Replaces the points.
+     * @param {Float32Array} positions - x, y, z of each point.
+     * @param {Float32Array} [alphas] - Opacity of each point, fully opaque by default.
+     */
+    setPoints(positions, alphas) {
+        const gl = this.gl;
+        this.vertexCount = positions.length / 3;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.alphaBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, alphas ?? new Float32Array(this.vertexCount).fill(1), gl.DYNAMIC_DRAW);
+    }
+}
+
+/**
+ * The path a body has just travelled, fading out towards its oldest end.
+ *
+ * Points are recorded at a fixed interval of simulated time, so the trail covers
+ * the same stretch of the orbit whatever the frame rate.
+ */
+export class Trail {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} [options]
+     * @param {number[]} [options.color=[1, 1, 1, 1]] - RGBA, the alpha is the opacity of the newest end.
+     * @param {number} [options.length=180] - How many points to keep.
+     * @param {number} [options.interval=1/30] - Seconds between recorded points.
+     */
+    constructor(gl, { color = [1, 1, 1, 1], length = 180, interval = 1 / 30 } = {}) {
+        this.line = new Line(gl, { color });
+        this.interval = interval;
+        this.sinceLastPoint = 0;
+
+        // Ring buffer of recorded points, oldest at head once it is full
+        this.history = new Float32Array(length * 3);
+        this.head = 0;
+        this.count = 0;
+
+        // Recorded points plus the current position, in drawing order
+        this.positions = new Float32Array((length + 1) * 3);
+        this.alphas = new Float32Array(length + 1);
+    }
+
+    /**
+     * Records the body's position if enough time has passed, and refreshes the line.
+     * @param {number} deltaTime - Simulated seconds since the last update.
+     * @param {number[]} position - Where the body is now, in world space.
+     */
+    update(deltaTime, position) {
+        const capacity = this.history.length / 3;
+
+        this.sinceLastPoint += Math.abs(deltaTime);
+        if (this.count === 0 || this.sinceLastPoint >= this.interval) {
+            this.sinceLastPoint = 0;
+            this.history.set(position, ((this.head + this.count) % capacity) * 3);
+            if (this.count < capacity) {
+                this.count++;
+            } else {
+                this.head = (this.head + 1) % capacity;
+            }
+        }
+
+        // --- Unroll the ring, oldest first, and end exactly at the body ---
+        for (let i = 0; i < this.count; i++) {
+            const k = (this.head + i) % capacity;
+            this.positions.set(this.history.subarray(k * 3, k * 3 + 3), i * 3);
+            this.alphas[i] = i / this.count;
+        }
+        this.positions.set(position, this.count * 3);
+        this.alphas[this.count] = 1;
+
+        const vertexCount = this.count + 1;
+        this.line.setPoints(this.positions.subarray(0, vertexCount * 3), this.alphas.subarray(0, vertexCount));
+    }
+
+    /**
+     * Forgets the recorded path, e.g. after the body jumped.
+     */
+    clear() {
+        this.head = 0;
+        this.count = 0;
+        this.sinceLastPoint = 0;
+    }
+}
+
+/**
+ * Draws Lines with their own shader program, blended over the scene.
+ */
+export class LineRenderer {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     */
+    constructor(gl) {
+        this.gl = gl;
+
+        const vertexShader = compileShader(gl, gl.VERTEX_SHADER, lineVertexShaderSource);
+        const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, lineFragmentShaderSource);
+        const program = vertexShader && fragmentShader
+            ? createShaderProgram(gl, vertexShader, fragmentShader)
+            : null;
+        if (!program) {
+            throw new Error('Could not build the line shader program.');
+        }
+
+        this.programInfo = {
+            program: program,
+            attribLocations: {
+                position: gl.getAttribLocation(program, 'a_Position'),
+                alpha: gl.getAttribLocation(program, 'a_Alpha'),
+            },
+            uniformLocations: {
+                projectionMatrix: gl.getUniformLocation(program, 'u_ProjectionMatrix'),
+                viewMatrix: gl.getUniformLocation(program, 'u_ViewMatrix'),
+                modelMatrix: gl.getUniformLocation(program, 'u_ModelMatrix'),
+                color: gl.getUniformLocation(program, 'u_Color'),
+            },
+        };
+        this.identity = mat4.create();
+    }
+
+    /**
+     * Draws lines. They are hidden behind bodies, but do not hide each other.
+     * @param {object[]} items - { line, modelMatrix } pairs. modelMatrix may be left out for
+     *                           lines already in world space.
+     * @param {mat4} viewMatrix - The camera's view matrix.
+     * @param {mat4} projectionMatrix - The camera's projection matrix.
+     */
+    draw(items, viewMatrix, projectionMatrix) {
+        const gl = this.gl;
+        const info = this.programInfo;
+
+        gl.useProgram(info.program);
+        gl.uniformMatrix4fv(info.uniformLocations.viewMatrix, false, viewMatrix);
+        gl.uniformMatrix4fv(info.uniformLocations.projectionMatrix, false, projectionMatrix);
+
+        // Blend the color only: the alpha channel holds the glow (see shaders.js), and lines do not glow
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ZERO, gl.ONE);
+        gl.depthMask(false);
+
+        for (const { line, modelMatrix } of items) {
+            if (!line.visible || line.vertexCount < 2) {
+                continue;
+            }
+            gl.uniformMatrix4fv(info.uniformLocations.modelMatrix, false, modelMatrix ?? this.identity);
+            gl.uniform4fv(info.uniformLocations.color, line.color);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, line.positionBuffer);
+            gl.vertexAttribPointer(info.attribLocations.position, 3, gl.FLOAT, false, 0, 0);
+            gl.enableVertexAttribArray(info.attribLocations.position);
+            gl.bindBuffer(gl.ARRAY_BUFFER, line.alphaBuffer);
+            gl.vertexAttribPointer(info.attribLocations.alpha, 1, gl.FLOAT, false, 0, 0);
+            gl.enableVertexAttribArray(info.attribLocations.alpha);
+
+            gl.drawArrays(line.mode, 0, line.vertexCount);
+        }
+
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
+    }
+}
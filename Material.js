@@ -0,0 +1,48 @@
+// Material.js
+
+/**
+ * How a surface responds to light, for the Blinn-Phong shader in shaders.js.
+ *
+ * The lit color is
+ *   color * (ambient + diffuse * N.L) + specular * (N.H)^shininess + color * emissive
+ * where color is the object's color (times its texture and vertex colors).
+ */
+export class Material {
+    /**
+     * @param {object} [params]
+     * @param {number} [params.ambient=0.2] - Light the surface gets even facing away from the star.
+     * @param {number} [params.diffuse=1] - Strength of the matte (Lambert) reflection.
+     * @param {number[]} [params.specular=[0, 0, 0]] - RGB color of the glossy highlight. Black for none.
+     * @param {number} [params.shininess=32] - Higher values give a smaller, sharper highlight.
+     * @param {number} [params.emissive=0] - How much the surface glows by itself.
+     */
+    constructor({ ambient = 0.2, diffuse = 1, specular = [0, 0, 0], shininess = 32, emissive = 0 } = {}) {
+        this.ambient = ambient;
+        this.diffuse = diffuse;
+        this.specular = specular;
+        this.shininess = shininess;
+        this.emissive = emissive;
+    }
+
+    /**
+     * A self-lit material that ignores the light, like the star.
+     * @param {object} [overrides] - Any parameter to change from the emissive defaults.
+     * @returns {Material}
+     */
+    static emissive(overrides = {}) {
+        return new Material({ ambient: 0, diffuse: 0, emissive: 1, ...overrides });
+    }
+
+    /**
+     * Sets the shader's material uniforms.
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} uniformLocations - The program's uniform locations.
+     */
+    apply(gl, uniformLocations) {
+        gl.uniform1f(uniformLocations.ambient, this.ambient);
+        gl.uniform1f(uniformLocations.diffuse, this.diffuse);
+        gl.uniform3fv(uniformLocations.specularColor, this.specular);
+        gl.uniform1f(uniformLocations.shininess, this.shininess);
+        gl.uniform1f(uniformLocations.emissive, this.emissive);
+    }
+}
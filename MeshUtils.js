@@ -0,0 +1,344 @@
+// MeshUtils.js
+
+/**
+ * Per-vertex attributes a geometry may carry, with their component counts.
+ * Every function here keeps all of them in step when it adds or splits vertices.
+ */
+const ATTRIBUTE_SIZES = { positions: 3, normals: 3, uvs: 2, colors: 4 };
+
+/**
+ * Packs indices into the smallest array type that can hold them: Uint16Array when every
+ * index fits in 16 bits (the only type WebGL 1 draws without an extension), else Uint32Array.
+ *
+ * @param {ArrayLike<number>} indices - The vertex indices.
+ * @returns {Uint16Array|Uint32Array}
+ */
+export function createIndexArray(indices) {
+    let maxIndex = 0;
+    for (const index of indices) {
+        if (index > maxIndex) maxIndex = index;
+    }
+    return maxIndex > 0xffff ? new Uint32Array(indices) : new Uint16Array(indices);
+}
+
+/**
+ * Finds a sphere enclosing every vertex, centered on the middle of the bounding box.
+ * Not the smallest possible sphere, but close for the roundish meshes used here.
+ *
+ * @param {Float32Array} positions - x, y, z of each vertex.
+ * @returns {{ center: number[], radius: number }} In the mesh's own coordinates.
+ */
+export function computeBoundingSphere(positions) {
+    if (positions.length === 0) {
+        return { center: [0, 0, 0], radius: 0 };
+    }
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let c = 0; c < 3; c++) {
+            min[c] = Math.min(min[c], positions[i + c]);
+            max[c] = Math.max(max[c], positions[i + c]);
+        }
+    }
+    const center = min.map((low, c) => (low + max[c]) / 2);
+
+    let radiusSquared = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+        const dx = positions[i] - center[0];
+        const dy = positions[i + 1] - center[1];
+        const dz = positions[i + 2] - center[2];
+        radiusSquared = Math.max(radiusSquared, dx * dx + dy * dy + dz * dz);
+    }
+    return { center, radius: Math.sqrt(radiusSquared) };
+}
+
+/**
+ * Splits a triangle mesh into chunks of at most maxVertices vertices each, so each chunk
+ * can be drawn with 16-bit indices. Vertices shared across chunk borders are duplicated.
+ *
+ * @param {object} geometry - { positions, normals, indices } and optionally { uvs, colors }.
+ * @param {number} [maxVertices=65536] - The most vertices one chunk may hold.
+ * @returns {object[]} The chunks, each a geometry with Uint16Array indices.
+ */
+export function splitMesh(geometry, maxVertices = 65536) {
+    const { indices } = geometry;
+    const attributes = Object.keys(ATTRIBUTE_SIZES).filter(name => geometry[name]);
+    const chunks = [];
+
+    let remap = new Map();  // Old vertex index -> index within the current chunk
+    let chunkIndices = [];
+
+    const finishChunk = () => {
+        const chunk = { indices: new Uint16Array(chunkIndices) };
+        for (const name of attributes) {
+            const size = ATTRIBUTE_SIZES[name];
+            const values = new Float32Array(remap.size * size);
+            for (const [oldIndex, newIndex] of remap) {
+                for (let c = 0; c < size; c++) {
+                    values[newIndex * size + c] = geometry[name][oldIndex * size + c];
+                }
+            }
+            chunk[name] = values;
+        }
+        chunks.push(chunk);
+        remap = new Map();
+        chunkIndices = [];
+    };
+
+    for (let t = 0; t < indices.length; t += 3) {
+        // Start a new chunk if this triangle's new vertices would not fit
+        let newVertices = 0;
+        for (let k = 0; k < 3; k++) {
+            if (!remap.has(indices[t + k])) newVertices++;
+        }
+        if (remap.size + newVertices > maxVertices) {
+            finishChunk();
+        }
+
+        for (let k = 0; k < 3; k++) {
+            const v = indices[t + k];
+            if (!remap.has(v)) {
+                remap.set(v, remap.size);
+            }
+            chunkIndices.push(remap.get(v));
+        }
+    }
+    if (chunkIndices.length > 0) {
+        finishChunk();
+    }
+    return chunks;
+}
+
+/**
+ * Computes normals for a triangle mesh, replacing any it already has.
+ *
+ * "smooth" shading averages the normals of the faces around each vertex, weighted by
+ * face area. Vertices at the same position are smoothed together, so UV seams do not
+ * show up as lighting seams. With a creaseAngle, faces meeting at a sharper angle than
+ * that are not averaged together, and their shared vertices are split.
+ *
+ * "flat" shading gives every triangle its own three vertices and its face normal.
+ *
+ * @param {object} geometry - { positions, indices } and optionally { uvs, colors }.
+ * @param {object} [options]
+ * @param {'smooth' | 'flat'} [options.shading='smooth'] - How to shade the surface.
+ * @param {number} [options.creaseAngle] - In degrees. Only used for smooth shading.
+ * @returns {object} A new geometry with normals, in the same shape as the input.
+ */
+export function computeNormals(geometry, options = {}) {
+    const shading = options.shading ?? 'smooth';
+    if (shading !== 'smooth' && shading !== 'flat') {
+        throw new Error(`Unknown shading "${shading}", expected "smooth" or "flat".`);
+    }
+
+    const faceNormals = computeFaceNormals(geometry.positions, geometry.indices);
+
+    if (shading === 'flat') {
+        return flatShade(geometry, faceNormals);
+    }
+    if (options.creaseAngle === undefined) {
+        return smoothShade(geometry, faceNormals);
+    }
+    return creaseShade(geometry, faceNormals, Math.cos(options.creaseAngle * Math.PI / 180));
+}
+
+/**
+ * Private helper that computes the cross product of two edges of every triangle.
+ * Its length is twice the triangle's area, which gives the area weighting for free.
+ * @returns {Float32Array} 3 numbers per triangle.
+ */
+function computeFaceNormals(positions, indices) {
+    const faceNormals = new Float32Array(indices.length);
+    for (let f = 0; f < indices.length; f += 3) {
+        const a = indices[f] * 3;
+        const b = indices[f + 1] * 3;
+        const c = indices[f + 2] * 3;
+
+        const e1x = positions[b] - positions[a];
+        const e1y = positions[b + 1] - positions[a + 1];
+        const e1z = positions[b + 2] - positions[a + 2];
+        const e2x = positions[c] - positions[a];
+        const e2y = positions[c + 1] - positions[a + 1];
+        const e2z = positions[c + 2] - positions[a + 2];
+
+        faceNormals[f] = e1y * e2z - e1z * e2y;
+        faceNormals[f + 1] = e1z * e2x - e1x * e2z;
+        faceNormals[f + 2] = e1x * e2y - e1y * e2x;
+    }
+    return faceNormals;
+}
+
+/**
+ * Private helper that gives every vertex an id shared by all vertices at the same position.
+ * @returns {Int32Array} The position group of each vertex.
+ */
+function weldPositions(positions) {
+    const groups = new Int32Array(positions.length / 3);
+    const groupByKey = new Map();
+    for (let v = 0; v < groups.length; v++) {
+        // Rounding absorbs the float noise exporters leave on duplicated seam vertices
+        const key = `${positions[v * 3].toFixed(5)},${positions[v * 3 + 1].toFixed(5)},${positions[v * 3 + 2].toFixed(5)}`;
+        if (!groupByKey.has(key)) {
+            groupByKey.set(key, groupByKey.size);
+        }
+        groups[v] = groupByKey.get(key);
+    }
+    return groups;
+}
+
+function normalizeInPlace(normals, offset) {
+    const length = Math.hypot(normals[offset], normals[offset + 1], normals[offset + 2]);
+    if (length > 0) {
+        normals[offset] /= length;
+        normals[offset + 1] /= length;
+        normals[offset + 2] /= length;
+    }
+}
+
+/**
+ * Area-weighted vertex normals. The vertices and indices stay as they are.
+ */
+function smoothShade(geometry, faceNormals) {
+    const { positions, indices } = geometry;
+    const groups = weldPositions(positions);
+
+    // --- 1. Sum the face normals around every position ---
+    const groupNormals = new Float32Array(groups.length * 3);
+    for (let i = 0; i < indices.length; i++) {
+        const g = groups[indices[i]] * 3;
+        const f = i - (i % 3);
+        groupNormals[g] += faceNormals[f];
+        groupNormals[g + 1] += faceNormals[f + 1];
+        groupNormals[g + 2] += faceNormals[f + 2];
+    }
+
+    // --- 2. Hand them back to the vertices ---
+    const normals = new Float32Array(positions.length);
+    for (let v = 0; v < groups.length; v++) {
+        normals.set(groupNormals.subarray(groups[v] * 3, groups[v] * 3 + 3), v * 3);
+        normalizeInPlace(normals, v * 3);
+    }
+
+    return { ...geometry, normals };
+}
+
+/**
+ * Smooth normals that do not blend across sharp edges.
+ * Each corner of each triangle averages only the faces around it that lie within the
+ * crease angle of its own face. Corners of one vertex that end up with different
+ * normals become separate vertices.
+ */
+function creaseShade(geometry, faceNormals, cosCrease) {
+    const { positions, indices } = geometry;
+    const groups = weldPositions(positions);
+    const triangleCount = indices.length / 3;
+
+    // --- 1. Unit face normals, and which faces touch every position ---
+    const unitNormals = Float32Array.from(faceNormals);
+    const facesByGroup = new Map();
+    for (let t = 0; t < triangleCount; t++) {
+        normalizeInPlace(unitNormals, t * 3);
+        for (let k = 0; k < 3; k++) {
+            const g = groups[indices[t * 3 + k]];
+            if (!facesByGroup.has(g)) {
+                facesByGroup.set(g, []);
+            }
+            facesByGroup.get(g).push(t);
+        }
+    }
+
+    // --- 2. One normal per corner, reusing a vertex when the normal matches ---
+    const builder = new VertexBuilder(geometry);
+    const newIndices = [];
+    const vertexByKey = new Map();
+    const normal = [0, 0, 0];
+
+    for (let t = 0; t < triangleCount; t++) {
+        for (let k = 0; k < 3; k++) {
+            const v = indices[t * 3 + k];
+            normal[0] = normal[1] = normal[2] = 0;
+
+            for (const other of facesByGroup.get(groups[v])) {
+                const dot = unitNormals[t * 3] * unitNormals[other * 3] +
+                    unitNormals[t * 3 + 1] * unitNormals[other * 3 + 1] +
+                    unitNormals[t * 3 + 2] * unitNormals[other * 3 + 2];
+                if (other === t || dot >= cosCrease) {
+                    normal[0] += faceNormals[other * 3];
+                    normal[1] += faceNormals[other * 3 + 1];
+                    normal[2] += faceNormals[other * 3 + 2];
+                }
+            }
+            normalizeInPlace(normal, 0);
+
+            const key = `${v}|${normal[0].toFixed(4)},${normal[1].toFixed(4)},${normal[2].toFixed(4)}`;
+            if (!vertexByKey.has(key)) {
+                vertexByKey.set(key, builder.copyVertex(v, normal));
+            }
+            newIndices.push(vertexByKey.get(key));
+        }
+    }
+
+    return builder.build(newIndices);
+}
+
+/**
+ * Flat shading: three fresh vertices per triangle, all with the face normal.
+ */
+function flatShade(geometry, faceNormals) {
+    const { indices } = geometry;
+    const builder = new VertexBuilder(geometry);
+    const newIndices = [];
+    const normal = [0, 0, 0];
+
+    for (let t = 0; t < indices.length; t += 3) {
+        normal[0] = faceNormals[t];
+        normal[1] = faceNormals[t + 1];
+        normal[2] = faceNormals[t + 2];
+        normalizeInPlace(normal, 0);
+
+        for (let k = 0; k < 3; k++) {
+            newIndices.push(builder.copyVertex(indices[t + k], normal));
+        }
+    }
+
+    return builder.build(newIndices);
+}
+
+/**
+ * Collects copies of existing vertices, with new normals, into a new geometry.
+ */
+class VertexBuilder {
+    constructor(geometry) {
+        this.source = geometry;
+        this.attributes = Object.keys(ATTRIBUTE_SIZES).filter(name => name !== 'normals' && geometry[name]);
+        this.output = { normals: [] };
+        for (const name of this.attributes) {
+            this.output[name] = [];
+        }
+        this.count = 0;
+    }
+
+    /**
+     * @returns {number} The index of the new vertex.
+     */
+    copyVertex(v, normal) {
+        for (const name of this.attributes) {
+            const size = ATTRIBUTE_SIZES[name];
+            for (let c = 0; c < size; c++) {
+                this.output[name].push(this.source[name][v * size + c]);
+            }
+        }
+        this.output.normals.push(normal[0], normal[1], normal[2]);
+        return this.count++;
+    }
+
+    build(indices) {
+        const geometry = {};
+        for (const name of Object.keys(this.output)) {
+            geometry[name] = new Float32Array(this.output[name]);
+        }
+        geometry.indices = createIndexArray(indices);
+        return geometry;
+    }
+}
@@ -0,0 +1,65 @@
+// ModelLoader.js
+
+import { parsePLY } from './PLYLoader.js';
+import { parseOBJWithMaterials } from './OBJLoader.js';
+import { parseGLTF, isGLB } from './GLTFLoader.js';
+
+/**
+ * Works out a model's format, first from its file extension and otherwise from
+ * the first bytes of the file.
+ *
+ * @param {string} url - Where the file came from.
+ * @param {ArrayBuffer} buffer - The raw file contents.
+ * @returns {'ply' | 'obj' | 'gltf'} The format.
+ */
+function detectFormat(url, buffer) {
+    const extension = new URL(url, 'file:///').pathname.split('.').pop().toLowerCase();
+    if (extension === 'ply') return 'ply';
+    if (extension === 'obj') return 'obj';
+    if (extension === 'gltf' || extension === 'glb') return 'gltf';
+
+    if (isGLB(buffer)) {
+        return 'gltf';
+    }
+    const start = new TextDecoder().decode(buffer.slice(0, 64)).trimStart();
+    if (start.startsWith('ply')) {
+        return 'ply';
+    }
+    if (start.startsWith('{')) {
+        return 'gltf';
+    }
+    // OBJ has no magic number, so it is the fallback
+    return 'obj';
+}
+
+/**
+ * Fetches a model in any supported format (.ply, .obj, .gltf, .glb) and parses it
+ * into the geometry GameObject consumes.
+ *
+ * @param {string} url - The path to the model file.
+ * @param {object} [options] - How to compute normals when the file has none (see computeNormals).
+ * @returns {Promise<object>} A promise that resolves with the parsed geometry
+ * { positions, normals, indices } and, when present, { uvs, colors }.
+ */
+export async function loadModel(url, options = {}) {
+    try {
+        console.log(`Loading model: ${url}`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+        }
+        const buffer = await response.arrayBuffer();
+
+        switch (detectFormat(url, buffer)) {
+            case 'ply':
+                return parsePLY(buffer, options);
+            case 'gltf':
+                return await parseGLTF(buffer, url, options);
+            default:
+                return await parseOBJWithMaterials(new TextDecoder().decode(buffer), url, options);
+        }
+    } catch (error) {
+        console.error(`Error loading model ${url}: `, error);
+        throw error;
+    }
+}
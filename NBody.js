@@ -0,0 +1,264 @@
+// NBody.js
+
+/**
+ * A gravitational N-body simulation.
+ * Bodies attract each other with Newtonian gravity and are integrated with velocity
+ * Verlet at a fixed time step, which is symplectic: energy oscillates around its
+ * starting value instead of drifting away, and running it with a negative step
+ * retraces the path.
+ */
+export class NBodySimulation {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.gravitationalConstant=1] - G, in scene units.
+     * @param {number} [options.timeStep=1/240] - The fixed integration step, in seconds.
+     * @param {number} [options.softening=0] - Softening length, avoids infinite forces on close passes.
+     * @param {number} [options.maxStepsPerAdvance=1000] - Caps the work done by one advance() call.
+     */
+    constructor(options = {}) {
+        this.gravitationalConstant = options.gravitationalConstant ?? 1;
+        this.timeStep = options.timeStep ?? 1 / 240;
+        this.softening = options.softening ?? 0;
+        this.maxStepsPerAdvance = options.maxStepsPerAdvance ?? 1000;
+
+        this.bodies = [];
+        this.time = 0;
+        this.accumulator = 0;   // Simulated time owed but not yet stepped
+        this.initialEnergy = null;
+    }
+
+    /**
+     * Adds a body to the simulation.
+     * @param {number} mass - Must be positive.
+     * @param {number[]} position - Initial [x, y, z].
+     * @param {number[]} velocity - Initial [vx, vy, vz].
+     * @returns {number} The index of the new body.
+     */
+    addBody(mass, position, velocity) {
+        this.bodies.push({
+            mass,
+            position: Float64Array.from(position),
+            velocity: Float64Array.from(velocity),
+            acceleration: new Float64Array(3),
+        });
+        this._computeAccelerations();
+        this.initialEnergy = null;
+        return this.bodies.length - 1;
+    }
+
+    /**
+     * Shifts every velocity so the total momentum is zero.
+     * Without this the whole system slowly drifts away from where the camera looks.
+     */
+    zeroMomentum() {
+        const totalMass = this.bodies.reduce((sum, body) => sum + body.mass, 0);
+        const momentum = this.linearMomentum();
+        for (const body of this.bodies) {
+            for (let k = 0; k < 3; k++) {
+                body.velocity[k] -= momentum[k] / totalMass;
+            }
+        }
+        this.initialEnergy = null;
+    }
+
+    /**
+     * Puts every body back where a saved state had it, e.g. to share a moment.
+     * Energy drift is measured from here on.
+     * @param {object} state
+     * @param {number} state.time - The simulation time.
+     * @param {number} state.accumulator - Time owed but not yet stepped, see advance().
+     * @param {object[]} state.bodies - { position, velocity } for each body, in order.
+     */
+    setState({ time, accumulator, bodies }) {
+        if (bodies.length !== this.bodies.length) {
+            throw new Error(`State has ${bodies.length} bodies, the simulation has ${this.bodies.length}.`);
+        }
+        bodies.forEach(({ position, velocity }, i) => {
+            this.bodies[i].position.set(position);
+            this.bodies[i].velocity.set(velocity);
+        });
+        this.time = time;
+        this.accumulator = accumulator;
+        this._computeAccelerations();
+        this.initialEnergy = null;
+    }
+
+    /**
+     * Advances the simulation by an arbitrary amount of time using whole fixed steps.
+     * Time that does not fill a step is carried over to the next call.
+     * @param {number} deltaTime - Seconds to advance. May be negative to run backwards.
+     */
+    advance(deltaTime) {
+        if (this.initialEnergy === null) {
+            this.initialEnergy = this.totalEnergy();
+        }
+
+        this.accumulator += deltaTime;
+        const h = this.timeStep;
+        let steps = 0;
+
+        while (Math.abs(this.accumulator) >= h && steps < this.maxStepsPerAdvance) {
+            const step = Math.sign(this.accumulator) * h;
+            this.step(step);
+            this.accumulator -= step;
+            steps++;
+        }
+
+        // We fell too far behind (e.g. a long stall): drop the backlog instead of
+        // spending the next frames catching up.
+        if (steps === this.maxStepsPerAdvance) {
+            this.accumulator = 0;
+        }
+    }
+
+    /**
+     * Performs exactly one velocity Verlet step.
+     * @param {number} dt - The step size, in seconds.
+     */
+    step(dt) {
+        const bodies = this.bodies;
+
+        // --- 1. Half kick, then drift ---
+        for (const body of bodies) {
+            for (let k = 0; k < 3; k++) {
+                body.velocity[k] += 0.5 * dt * body.acceleration[k];
+                body.position[k] += dt * body.velocity[k];
+            }
+        }
+
+        // --- 2. New forces at the new positions ---
+        this._computeAccelerations();
+
+        // --- 3. Second half kick ---
+        for (const body of bodies) {
+            for (let k = 0; k < 3; k++) {
+                body.velocity[k] += 0.5 * dt * body.acceleration[k];
+            }
+        }
+
+        this.time += dt;
+    }
+
+    /**
+     * Private helper that fills in every body's acceleration from mutual gravity.
+     */
+    _computeAccelerations() {
+        const bodies = this.bodies;
+        const G = this.gravitationalConstant;
+        const eps2 = this.softening * this.softening;
+
+        for (const body of bodies) {
+            body.acceleration.fill(0);
+        }
+
+        // Each pair is visited once and pushes both bodies
+        for (let i = 0; i < bodies.length; i++) {
+            const a = bodies[i];
+            for (let j = i + 1; j < bodies.length; j++) {
+                const b = bodies[j];
+                const dx = b.position[0] - a.position[0];
+                const dy = b.position[1] - a.position[1];
+                const dz = b.position[2] - a.position[2];
+                const distSq = dx * dx + dy * dy + dz * dz + eps2;
+                const invDist3 = 1 / (distSq * Math.sqrt(distSq));
+
+                const fa = G * b.mass * invDist3;
+                const fb = G * a.mass * invDist3;
+                a.acceleration[0] += fa * dx;
+                a.acceleration[1] += fa * dy;
+                a.acceleration[2] += fa * dz;
+                b.acceleration[0] -= fb * dx;
+                b.acceleration[1] -= fb * dy;
+                b.acceleration[2] -= fb * dz;
+            }
+        }
+    }
+
+    /**
+     * @returns {number} The total kinetic energy.
+     */
+    kineticEnergy() {
+        let energy = 0;
+        for (const { mass, velocity: v } of this.bodies) {
+            energy += 0.5 * mass * (v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+        }
+        return energy;
+    }
+
+    /**
+     * @returns {number} The total gravitational potential energy (softened like the forces).
+     */
+    potentialEnergy() {
+        const bodies = this.bodies;
+        const eps2 = this.softening * this.softening;
+        let energy = 0;
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i].position;
+                const b = bodies[j].position;
+                const dist = Math.sqrt(
+                    (b[0] - a[0]) ** 2 + (b[1] - a[1]) ** 2 + (b[2] - a[2]) ** 2 + eps2
+                );
+                energy -= this.gravitationalConstant * bodies[i].mass * bodies[j].mass / dist;
+            }
+        }
+        return energy;
+    }
+
+    /**
+     * @returns {number} Kinetic plus potential energy.
+     */
+    totalEnergy() {
+        return this.kineticEnergy() + this.potentialEnergy();
+    }
+
+    /**
+     * @returns {number[]} The total linear momentum [px, py, pz].
+     */
+    linearMomentum() {
+        const p = [0, 0, 0];
+        for (const { mass, velocity } of this.bodies) {
+            for (let k = 0; k < 3; k++) {
+                p[k] += mass * velocity[k];
+            }
+        }
+        return p;
+    }
+
+    /**
+     * @returns {number[]} The total angular momentum about the origin [Lx, Ly, Lz].
+     */
+    angularMomentum() {
+        const L = [0, 0, 0];
+        for (const { mass, position: r, velocity: v } of this.bodies) {
+            L[0] += mass * (r[1] * v[2] - r[2] * v[1]);
+            L[1] += mass * (r[2] * v[0] - r[0] * v[2]);
+            L[2] += mass * (r[0] * v[1] - r[1] * v[0]);
+        }
+        return L;
+    }
+
+    /**
+     * Collects the conserved quantities, to check how far the integrator has drifted.
+     * @returns {object} { time, kineticEnergy, potentialEnergy, totalEnergy, relativeEnergyDrift,
+     *                     linearMomentum, angularMomentum }
+     */
+    diagnostics() {
+        const kineticEnergy = this.kineticEnergy();
+        const potentialEnergy = this.potentialEnergy();
+        const totalEnergy = kineticEnergy + potentialEnergy;
+        const initialEnergy = this.initialEnergy ?? totalEnergy;
+
+        return {
+            time: this.time,
+            kineticEnergy,
+            potentialEnergy,
+            totalEnergy,
+            relativeEnergyDrift: initialEnergy !== 0
+                ? (totalEnergy - initialEnergy) / Math.abs(initialEnergy)
+                : 0,
+            linearMomentum: this.linearMomentum(),
+            angularMomentum: this.angularMomentum(),
+        };
+    }
+}
@@ -0,0 +1,230 @@
+// OBJLoader.js
+
+import { computeNormals, createIndexArray } from './MeshUtils.js';
+
+/**
+ * Parses a Wavefront .mtl file. Only the diffuse color (Kd) and opacity (d or Tr)
+ * are used, since that is all the renderer can show.
+ *
+ * @param {string} mtlText - The raw text content of the .mtl file.
+ * @returns {Map<string, number[]>} RGBA color by material name.
+ */
+function parseMTL(mtlText) {
+    const materials = new Map();
+    let current = null;
+
+    for (const line of mtlText.split('\n')) {
+        const parts = line.trim().split(/\s+/);
+        switch (parts[0]) {
+            case 'newmtl':
+                current = [1, 1, 1, 1];
+                materials.set(parts.slice(1).join(' '), current);
+                break;
+            case 'Kd':
+                if (current) {
+                    current[0] = parseFloat(parts[1]);
+                    current[1] = parseFloat(parts[2]);
+                    current[2] = parseFloat(parts[3]);
+                }
+                break;
+            case 'd':
+                if (current) current[3] = parseFloat(parts[1]);
+                break;
+            case 'Tr':
+                if (current) current[3] = 1 - parseFloat(parts[1]);
+                break;
+        }
+    }
+    return materials;
+}
+
+/**
+ * Parses a Wavefront .obj file.
+ * Faces of any size are fan-triangulated, negative (relative) indices are supported,
+ * and each distinct position/uv/normal/material combination becomes one vertex.
+ * Object and group statements are ignored: everything is merged into one mesh.
+ *
+ * @param {string} objText - The raw text content of the .obj file.
+ * @param {object} [options]
+ * @param {Map<string, number[]>} [options.materials] - Colors from the .mtl file(s).
+ * @param {'smooth' | 'flat'} [options.shading] - Used if the file has no normals (see computeNormals).
+ * @param {number} [options.creaseAngle] - Used if the file has no normals (see computeNormals).
+ * @returns {object} { positions, normals, indices } and, when present, { uvs, colors }.
+ */
+export function parseOBJ(objText, options = {}) {
+    const materials = options.materials ?? new Map();
+    const lines = objText.split('\n');
+
+    // Raw attribute pools, indexed by the face statements
+    const filePositions = [];
+    const fileUVs = [];
+    const fileNormals = [];
+
+    // Output vertices
+    const positions = [];
+    const uvs = [];
+    const normals = [];
+    const colors = [];
+    const indices = [];
+    const vertexByKey = new Map();
+
+    let material = null;
+    let hasUVs = false;
+    let hasNormals = true;
+
+    // Turns a 1-based (or negative, relative) OBJ index into a 0-based one
+    const resolve = (text, poolLength, lineNumber) => {
+        const index = parseInt(text);
+        const resolved = index < 0 ? poolLength + index : index - 1;
+        if (Number.isNaN(index) || resolved < 0 || resolved >= poolLength) {
+            throw new Error(`Invalid OBJ file: line ${lineNumber}: index "${text}" is out of range.`);
+        }
+        return resolved;
+    };
+
+    const addVertex = (token, lineNumber) => {
+        // Keyed on the resolved indices: a relative index means another vertex on every line
+        const [v, vt, vn] = token.split('/');
+        const p = resolve(v, filePositions.length / 3, lineNumber);
+        const t = vt ? resolve(vt, fileUVs.length / 2, lineNumber) : -1;
+        const n = vn ? resolve(vn, fileNormals.length / 3, lineNumber) : -1;
+        const key = `${p}/${t}/${n}|${material}`;
+        if (vertexByKey.has(key)) {
+            return vertexByKey.get(key);
+        }
+
+        positions.push(filePositions[p * 3], filePositions[p * 3 + 1], filePositions[p * 3 + 2]);
+
+        if (t >= 0) {
+            uvs.push(fileUVs[t * 2], fileUVs[t * 2 + 1]);
+            hasUVs = true;
+        } else {
+            uvs.push(0, 0);
+        }
+
+        if (n >= 0) {
+            normals.push(fileNormals[n * 3], fileNormals[n * 3 + 1], fileNormals[n * 3 + 2]);
+        } else {
+            normals.push(0, 0, 0);
+            hasNormals = false;
+        }
+
+        colors.push(...(materials.get(material) ?? [1, 1, 1, 1]));
+
+        const index = positions.length / 3 - 1;
+        vertexByKey.set(key, index);
+        return index;
+    };
+
+    lines.forEach((line, i) => {
+        const lineNumber = i + 1;
+        const trimmedLine = line.trim();
+        if (trimmedLine === '' || trimmedLine.startsWith('#')) {
+            return;
+        }
+        const parts = trimmedLine.split(/\s+/);
+
+        switch (parts[0]) {
+            case 'v':
+                filePositions.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+                break;
+            case 'vt':
+                fileUVs.push(parseFloat(parts[1]), parseFloat(parts[2] ?? 0));
+                break;
+            case 'vn':
+                fileNormals.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+                break;
+            case 'usemtl':
+                material = parts.slice(1).join(' ');
+                if (!materials.has(material)) {
+                    console.warn(`OBJ line ${lineNumber}: unknown material "${material}", using white.`);
+                }
+                break;
+            case 'f': {
+                if (parts.length < 4) {
+                    throw new Error(`Invalid OBJ file: line ${lineNumber}: a face needs at least 3 vertices.`);
+                }
+                const face = parts.slice(1).map(token => addVertex(token, lineNumber));
+                // Fan triangulation: (v0, v1, v2), (v0, v2, v3), ...
+                for (let k = 1; k + 1 < face.length; k++) {
+                    indices.push(face[0], face[k], face[k + 1]);
+                }
+                break;
+            }
+            // Everything else (o, g, s, mtllib, l, ...) does not affect the geometry
+        }
+    });
+
+    let geometry = {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        indices: createIndexArray(indices),
+    };
+    if (hasUVs) {
+        geometry.uvs = new Float32Array(uvs);
+    }
+    if (materials.size > 0) {
+        geometry.colors = new Float32Array(colors);
+    }
+
+    if (!hasNormals) {
+        geometry = computeNormals(geometry, options);
+    }
+    return geometry;
+}
+
+/**
+ * Parses a .obj file, fetching the .mtl files it references relative to its own URL.
+ * A missing .mtl file only costs the colors, so it is a warning rather than an error.
+ *
+ * @param {string} objText - The raw text content of the .obj file.
+ * @param {string} url - Where the .obj file came from.
+ * @param {object} [options] - See parseOBJ.
+ * @returns {Promise<object>} The parsed geometry.
+ */
+export async function parseOBJWithMaterials(objText, url, options = {}) {
+    const materials = new Map();
+    const libraries = objText.split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(parts => parts[0] === 'mtllib')
+        .map(parts => parts.slice(1).join(' '));
+
+    for (const library of libraries) {
+        const mtlUrl = new URL(library, new URL(url, document.baseURI)).href;
+        try {
+            const response = await fetch(mtlUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${mtlUrl}: ${response.statusText}`);
+            }
+            for (const [name, color] of parseMTL(await response.text())) {
+                materials.set(name, color);
+            }
+        } catch (error) {
+            console.warn(`Could not load material library ${mtlUrl}, colors will be missing: `, error);
+        }
+    }
+
+    return parseOBJ(objText, { ...options, materials });
+}
+
+/**
+ * Fetches a .obj file (and its .mtl files) from the given URL and parses it.
+ *
+ * @param {string} url - The path to the .obj file.
+ * @param {object} [options] - See parseOBJ.
+ * @returns {Promise<object>} A promise that resolves with the parsed geometry
+ * { positions, normals, indices } and, when present, { uvs, colors }.
+ */
+export async function loadOBJ(url, options = {}) {
+    try {
+        console.log(`Loading OBJ: ${url}`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+        }
+        return await parseOBJWithMaterials(await response.text(), url, options);
+    } catch (error) {
+        console.error(`Error loading OBJ file ${url}: `, error);
+        throw error;
+    }
+}
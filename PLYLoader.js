@@ -1,140 +1,407 @@
 // PLYLoader.js
 
+import { computeNormals, createIndexArray } from './MeshUtils.js';
+
 /**
- * A simple .ply file parser.
- * This parser assumes the file is in ASCII format.
- * It extracts vertex positions and face indices, supporting both triangles and quads.
- *
- * @param {string} plyText - The raw text content of the .ply file.
- * @returns {object} An object with { positions: Float32Array, indices: Uint16Array }
+ * Byte size and DataView getter for every PLY scalar type, under both of its names.
  */
-function parsePLY(plyText) {
-    const lines = plyText.split('\n');
-    const positions = [];
-    const indices = [];
-    const normals = [];
+const SCALAR_TYPES = {
+    char: { size: 1, read: 'getInt8' },
+    int8: { size: 1, read: 'getInt8' },
+    uchar: { size: 1, read: 'getUint8' },
+    uint8: { size: 1, read: 'getUint8' },
+    short: { size: 2, read: 'getInt16' },
+    int16: { size: 2, read: 'getInt16' },
+    ushort: { size: 2, read: 'getUint16' },
+    uint16: { size: 2, read: 'getUint16' },
+    int: { size: 4, read: 'getInt32' },
+    int32: { size: 4, read: 'getInt32' },
+    uint: { size: 4, read: 'getUint32' },
+    uint32: { size: 4, read: 'getUint32' },
+    float: { size: 4, read: 'getFloat32' },
+    float32: { size: 4, read: 'getFloat32' },
+    double: { size: 8, read: 'getFloat64' },
+    float64: { size: 8, read: 'getFloat64' },
+};
 
-    let vertexCount = 0;
-    let faceCount = 0;
+/**
+ * Reads the header of a .ply file.
+ *
+ * @param {Uint8Array} bytes - The raw file contents.
+ * @returns {object} { format, elements, headerLength, headerLineCount }, where each element is
+ * { name, count, properties } and each property is either { name, type } or,
+ * for lists, { name, countType, itemType, isList: true }.
+ */
+function parseHeader(bytes) {
+    // The header is ASCII and ends with an "end_header" line
+    const marker = 'end_header';
+    let end = -1;
+    for (let i = 0; i + marker.length <= bytes.length; i++) {
+        let match = true;
+        for (let j = 0; j < marker.length; j++) {
+            if (bytes[i + j] !== marker.charCodeAt(j)) {
+                match = false;
+                break;
+            }
+        }
+        if (match) {
+            end = i + marker.length;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Invalid PLY file: no "end_header" line found.');
+    }
 
-    let verticesRead = 0;
-    let facesRead = 0;
+    // Step past the line ending (either \n or \r\n)
+    if (bytes[end] === 0x0d) end++;
+    if (bytes[end] === 0x0a) end++;
 
-    const STATE = {
-        HEADER: 0,
-        READING_VERTICES: 1,
-        READING_FACES: 2
-    };
-    let currentState = STATE.HEADER;
+    const lines = new TextDecoder('ascii').decode(bytes.subarray(0, end)).split(/\r?\n/);
+    if (lines[0].trim() !== 'ply') {
+        throw new Error('Invalid PLY file: it does not start with "ply".');
+    }
 
+    let format = null;
+    const elements = [];
     for (const line of lines) {
-        const trimmedLine = line.trim();
+        const parts = line.trim().split(/\s+/);
+
+        if (parts[0] === 'format') {
+            format = parts[1];
+        } else if (parts[0] === 'element') {
+            elements.push({ name: parts[1], count: parseInt(parts[2]), properties: [] });
+        } else if (parts[0] === 'property') {
+            const element = elements[elements.length - 1];
+            if (!element) {
+                throw new Error(`Invalid PLY header: property "${parts.slice(1).join(' ')}" comes before any element.`);
+            }
+            if (parts[1] === 'list') {
+                // e.g. "property list uchar uint vertex_indices"
+                element.properties.push({ name: parts[4], countType: parts[2], itemType: parts[3], isList: true });
+            } else {
+                element.properties.push({ name: parts[2], type: parts[1] });
+            }
+        }
+    }
+
+    if (format !== 'ascii' && format !== 'binary_little_endian' && format !== 'binary_big_endian') {
+        throw new Error(`Unsupported PLY format: "${format}".`);
+    }
+    for (const element of elements) {
+        for (const property of element.properties) {
+            for (const type of property.isList ? [property.countType, property.itemType] : [property.type]) {
+                if (!SCALAR_TYPES[type]) {
+                    throw new Error(`Unsupported PLY property type "${type}" in element "${element.name}".`);
+                }
+            }
+        }
+    }
+
+    return { format, elements, headerLength: end, headerLineCount: lines.length - 1 };
+}
 
-        if (trimmedLine === "") {
-            continue;
+/**
+ * Property names that may hold each vertex attribute, in order of preference.
+ */
+const VERTEX_ATTRIBUTES = {
+    position: ['x', 'y', 'z'],
+    normal: ['nx', 'ny', 'nz'],
+    uv: [['s', 't'], ['u', 'v'], ['texture_u', 'texture_v'], ['texture_s', 'texture_t']],
+    color: ['red', 'green', 'blue'],
+};
+
+/**
+ * Collects vertex and face records into the flat arrays the renderer uses.
+ * Columns are found by their declared property names, so their order in the file
+ * does not matter, and elements other than "vertex" and "face" are skipped.
+ */
+class GeometryBuilder {
+    /**
+     * @param {object} header - The parsed header (see parseHeader).
+     */
+    constructor(header) {
+        const vertexElement = header.elements.find(element => element.name === 'vertex');
+        if (!vertexElement) {
+            throw new Error('Invalid PLY file: the header declares no "vertex" element.');
+        }
+        this.vertexCount = vertexElement.count;
+
+        const names = vertexElement.properties.map(property => property.name);
+        const has = (list) => list.every(name => names.includes(name));
+        if (!has(VERTEX_ATTRIBUTES.position)) {
+            throw new Error('Invalid PLY file: the "vertex" element needs x, y and z properties.');
+        }
+        this.hasNormals = has(VERTEX_ATTRIBUTES.normal);
+        this.uvNames = VERTEX_ATTRIBUTES.uv.find(has) ?? null;
+        this.hasColors = has(VERTEX_ATTRIBUTES.color);
+        this.hasAlpha = names.includes('alpha');
+
+        // 8-bit colors run 0-255, float colors are already 0-1
+        const colorProperty = vertexElement.properties.find(property => property.name === 'red');
+        this.colorScale = colorProperty && SCALAR_TYPES[colorProperty.type].read.startsWith('getFloat')
+            ? 1
+            : 1 / 255;
+
+        this.positions = [];
+        this.normals = [];
+        this.uvs = [];
+        this.colors = [];
+        this.indices = [];
+    }
+
+    /**
+     * Adds one record of any element.
+     * @param {string} elementName - The element the record belongs to.
+     * @param {object} record - { propertyName: value, or array of values for lists }.
+     * @param {string} where - Describes where the record is, for error messages.
+     */
+    add(elementName, record, where) {
+        if (elementName === 'vertex') {
+            this._addVertex(record);
+        } else if (elementName === 'face') {
+            this._addFace(record, where);
         }
+        // Any other element (edges, materials, ...) is not needed for drawing
+    }
+
+    _addVertex(record) {
+        this.positions.push(record.x, record.y, record.z);
+
+        if (this.hasNormals) {
+            this.normals.push(record.nx, record.ny, record.nz);
+        }
+
+        if (this.uvNames) {
+            this.uvs.push(record[this.uvNames[0]], record[this.uvNames[1]]);
+        }
+        if (this.hasColors) {
+            this.colors.push(
+                record.red * this.colorScale,
+                record.green * this.colorScale,
+                record.blue * this.colorScale,
+                this.hasAlpha ? record.alpha * this.colorScale : 1.0
+            );
+        }
+    }
 
-        const parts = trimmedLine.split(' ');
+    _addFace(record, where) {
+        const face = record.vertex_indices ?? record.vertex_index;
+        if (!face) {
+            throw new Error(`Invalid PLY file: ${where}: the face has no vertex_indices list.`);
+        }
+        if (face.length < 3) {
+            throw new Error(`Invalid PLY file: ${where}: a face needs at least 3 vertices, found ${face.length}.`);
+        }
+        for (const index of face) {
+            if (!Number.isInteger(index) || index < 0 || index >= this.vertexCount) {
+                throw new Error(
+                    `Invalid PLY file: ${where}: vertex index ${index} is out of range (0-${this.vertexCount - 1}).`
+                );
+            }
+        }
 
-        switch (currentState) {
-            case STATE.HEADER:
-                if (parts[0] === 'element' && parts[1] === 'vertex') {
-                    vertexCount = parseInt(parts[2]);
-                } else if (parts[0] === 'element' && parts[1] === 'face') {
-                    faceCount = parseInt(parts[2]);
-                } else if (parts[0] === 'end_header') {
-                    currentState = STATE.READING_VERTICES;
+        // Fan triangulation: (v0, v1, v2), (v0, v2, v3), (v0, v3, v4), ...
+        // Exact for triangles and quads, and for any convex polygon.
+        for (let i = 1; i + 1 < face.length; i++) {
+            this.indices.push(face[0], face[i], face[i + 1]);
+        }
+    }
+
+    /**
+     * @returns {object} { positions, indices } plus, when the file has them,
+     * normals, uvs (2 per vertex) and colors (RGBA, 4 per vertex).
+     */
+    build() {
+        const geometry = {
+            positions: new Float32Array(this.positions),
+            indices: createIndexArray(this.indices),
+        };
+        if (this.hasNormals) {
+            geometry.normals = new Float32Array(this.normals);
+        }
+        if (this.uvNames) {
+            geometry.uvs = new Float32Array(this.uvs);
+        }
+        if (this.hasColors) {
+            geometry.colors = new Float32Array(this.colors);
+        }
+        return geometry;
+    }
+}
+
+/**
+ * Decodes the body of an ASCII .ply file, one record per line.
+ *
+ * @param {string} plyText - The raw text content of the .ply file.
+ * @param {object} header - The parsed header (see parseHeader).
+ * @param {GeometryBuilder} builder - Receives every record.
+ */
+function parseAsciiBody(plyText, header, builder) {
+    const lines = plyText.split('\n');
+    let lineIndex = header.headerLineCount;
+
+    // Returns the next non-empty line, split into values
+    const nextLine = () => {
+        while (lineIndex < lines.length) {
+            const trimmedLine = lines[lineIndex++].trim();
+            if (trimmedLine !== '') {
+                return trimmedLine.split(/\s+/);
+            }
+        }
+        return null;
+    };
+
+    for (const element of header.elements) {
+        for (let i = 0; i < element.count; i++) {
+            const parts = nextLine();
+            const where = `line ${lineIndex}`;
+            if (!parts) {
+                throw new Error(
+                    `Invalid PLY file: the header declares ${element.count} "${element.name}" records, ` +
+                    `but the file ends after ${i}.`
+                );
+            }
+
+            // Read one record, as { propertyName: value or array of values }
+            const record = {};
+            let column = 0;
+            const readValue = () => {
+                if (column >= parts.length) {
+                    throw new Error(`Invalid PLY file: ${where}: too few values for a "${element.name}" record.`);
                 }
-                break;
+                const value = Number(parts[column++]);
+                if (Number.isNaN(value)) {
+                    throw new Error(`Invalid PLY file: ${where}: "${parts[column - 1]}" is not a number.`);
+                }
+                return value;
+            };
 
-            case STATE.READING_VERTICES:
-                positions.push(parseFloat(parts[0])); // x
-                positions.push(parseFloat(parts[1])); // y
-                positions.push(parseFloat(parts[2])); // z
-                verticesRead++;
-
-                // Assuming normals (nx, ny, nz) are properties 3, 4, 5
-                if (parts.length >= 6) {
-                    normals.push(parseFloat(parts[3])); // nx
-                    normals.push(parseFloat(parts[4])); // ny
-                    normals.push(parseFloat(parts[5])); // nz
+            for (const property of element.properties) {
+                if (property.isList) {
+                    const count = readValue();
+                    const items = [];
+                    for (let j = 0; j < count; j++) {
+                        items.push(readValue());
+                    }
+                    record[property.name] = items;
                 } else {
-                    // No normal data found. Push a default (0,0,0).
-                    // This will look bad, but won't crash.
-                    normals.push(0.0);
-                    normals.push(0.0);
-                    normals.push(0.0);
+                    record[property.name] = readValue();
                 }
+            }
+            if (column !== parts.length) {
+                throw new Error(
+                    `Invalid PLY file: ${where}: expected ${column} values for a "${element.name}" record, ` +
+                    `found ${parts.length}.`
+                );
+            }
 
-                if (verticesRead === vertexCount) {
-                    currentState = STATE.READING_FACES;
-                }
-                break;
+            builder.add(element.name, record, where);
+        }
+    }
 
-            case STATE.READING_FACES:
-                // --- THIS IS THE UPDATED LOGIC ---
-                const numVerticesInFace = parseInt(parts[0]);
-
-                if (numVerticesInFace === 3) {
-                    // It's a triangle.
-                    indices.push(parseInt(parts[1]));
-                    indices.push(parseInt(parts[2]));
-                    indices.push(parseInt(parts[3]));
-
-                } else if (numVerticesInFace === 4) {
-                    // It's a quad. We must tessellate it (split into two triangles).
-                    // Quad vertices: v0, v1, v2, v3
-                    // Triangle 1: (v0, v1, v2)
-                    indices.push(parseInt(parts[1])); // v0
-                    indices.push(parseInt(parts[2])); // v1
-                    indices.push(parseInt(parts[3])); // v2
-
-                    // Triangle 2: (v0, v2, v3) 
-                    indices.push(parseInt(parts[1])); // v0
-                    indices.push(parseInt(parts[3])); // v2
-                    indices.push(parseInt(parts[4])); // v3
-                }
-                // --- END UPDATED LOGIC ---
+    if (nextLine()) {
+        throw new Error(`Invalid PLY file: line ${lineIndex}: data after the last declared record.`);
+    }
+}
+
+/**
+ * Decodes the body of a binary .ply file.
+ *
+ * @param {ArrayBuffer} buffer - The raw file contents.
+ * @param {object} header - The parsed header (see parseHeader).
+ * @param {GeometryBuilder} builder - Receives every record.
+ */
+function parseBinaryBody(buffer, header, builder) {
+    const view = new DataView(buffer);
+    const littleEndian = header.format === 'binary_little_endian';
+    let offset = header.headerLength;
+
+    const readScalar = (type) => {
+        const { size, read } = SCALAR_TYPES[type];
+        if (offset + size > view.byteLength) {
+            throw new Error('Invalid PLY file: the data ends before all declared records were read.');
+        }
+        const value = view[read](offset, littleEndian);
+        offset += size;
+        return value;
+    };
 
-                facesRead++;
+    for (const element of header.elements) {
+        for (let i = 0; i < element.count; i++) {
+            const where = `byte ${offset} ("${element.name}" record ${i})`;
 
-                if (facesRead === faceCount) {
-                    // We've read all the faces, we can stop.
-                    break;
+            // Read one record, as { propertyName: value or array of values }
+            const record = {};
+            for (const property of element.properties) {
+                if (property.isList) {
+                    const count = readScalar(property.countType);
+                    const items = [];
+                    for (let j = 0; j < count; j++) {
+                        items.push(readScalar(property.itemType));
+                    }
+                    record[property.name] = items;
+                } else {
+                    record[property.name] = readScalar(property.type);
                 }
-                break;
+            }
+
+            builder.add(element.name, record, where);
         }
     }
 
-    // console.log(`PLY Parser Results (${vertexCount}v, ${faceCount}f):
-    //     - Vertices read: ${ verticesRead } (Positions: ${ positions.length })
-    //   - Faces read:   ${ facesRead } (Indices: ${ indices.length })`);
+    if (offset !== view.byteLength) {
+        throw new Error(`Invalid PLY file: ${view.byteLength - offset} bytes of data after the last declared record.`);
+    }
+}
 
-    return {
-        positions: new Float32Array(positions),
-        indices: new Uint16Array(indices),
-        normals: new Float32Array(normals),
-    };
+/**
+ * Parses a .ply file in any of the three PLY formats.
+ * Normals are computed when the file has none (or when asked to).
+ *
+ * @param {ArrayBuffer} buffer - The raw file contents.
+ * @param {object} [options] - See loadPLY.
+ * @returns {object} An object with { positions: Float32Array, indices: Uint16Array or Uint32Array, normals: Float32Array },
+ * plus uvs: Float32Array and colors: Float32Array when the file has them.
+ */
+export function parsePLY(buffer, options = {}) {
+    const header = parseHeader(new Uint8Array(buffer));
+    const builder = new GeometryBuilder(header);
+
+    if (header.format === 'ascii') {
+        parseAsciiBody(new TextDecoder().decode(buffer), header, builder);
+    } else {
+        parseBinaryBody(buffer, header, builder);
+    }
+
+    const geometry = builder.build();
+    if (!geometry.normals || options.recomputeNormals) {
+        return computeNormals(geometry, options);
+    }
+    return geometry;
 }
 
 
 /**
- * Fetches a .ply file from the given URL and parses it.
- * (This function remains unchanged)
+ * Fetches a .ply file (ASCII or binary) from the given URL and parses it.
  *
  * @param {string} url - The path to the .ply file.
+ * @param {object} [options] - How to compute normals when the file has none.
+ * @param {'smooth' | 'flat'} [options.shading='smooth'] - Averaged or per-face normals.
+ * @param {number} [options.creaseAngle] - In degrees: smooth shading keeps edges sharper than this.
+ * @param {boolean} [options.recomputeNormals=false] - Replace the file's own normals too.
  * @returns {Promise<object>} A promise that resolves with the parsed geometry
- * { positions: Float32Array, indices: Uint16Array }.
+ * { positions, normals, indices } and, when the file has them, { uvs, colors }.
  */
-export async function loadPLY(url) {
+export async function loadPLY(url, options = {}) {
     try {
         console.log(`Loading PLY: ${url} `);
         const response = await fetch(url);
         if (!response.ok) {
             throw new Error(`Failed to fetch ${url}: ${response.statusText} `);
         }
-        const plyText = await response.text();
-        return parsePLY(plyText);
+        const buffer = await response.arrayBuffer();
+        return parsePLY(buffer, options);
     } catch (error) {
         console.error(`Error loading PLY file ${url}: `, error);
         throw error;
@@ -0,0 +1,57 @@
+// Picking.js
+
+const { mat4, vec3, vec4 } = window;
+
+/**
+ * Turns a point on the canvas into the ray of world space it shows.
+ *
+ * @param {number} x - Pixels from the canvas' left edge (CSS pixels).
+ * @param {number} y - Pixels from the canvas' top edge (CSS pixels).
+ * @param {number} width - The canvas' displayed width (CSS pixels).
+ * @param {number} height - The canvas' displayed height (CSS pixels).
+ * @param {mat4} viewMatrix - The camera's view matrix.
+ * @param {mat4} projectionMatrix - The camera's projection matrix.
+ * @returns {{ origin: vec3, direction: vec3 }} The direction is a unit vector.
+ */
+export function screenRay(x, y, width, height, viewMatrix, projectionMatrix) {
+    // --- 1. Canvas pixels -> normalized device coordinates (y points up) ---
+    const ndcX = (2 * x) / width - 1;
+    const ndcY = 1 - (2 * y) / height;
+
+    // --- 2. Unproject a point on the near plane and one on the far plane ---
+    const inverse = mat4.invert(mat4.create(), mat4.multiply(mat4.create(), projectionMatrix, viewMatrix));
+    const unproject = (ndcZ) => {
+        const point = vec4.transformMat4(vec4.create(), [ndcX, ndcY, ndcZ, 1], inverse);
+        return vec3.scale(vec3.create(), [point[0], point[1], point[2]], 1 / point[3]);
+    };
+    const near = unproject(-1);
+    const far = unproject(1);
+
+    const direction = vec3.normalize(vec3.create(), vec3.subtract(vec3.create(), far, near));
+    return { origin: near, direction };
+}
+
+/**
+ * Finds where a ray first enters a sphere.
+ *
+ * @param {{ origin: vec3, direction: vec3 }} ray - The direction must be a unit vector.
+ * @param {vec3} center - The sphere's center.
+ * @param {number} radius - The sphere's radius.
+ * @returns {number|null} Distance along the ray to the hit, or null for a miss.
+ *                        0 when the ray starts inside the sphere.
+ */
+export function intersectSphere(ray, center, radius) {
+    const offset = vec3.subtract(vec3.create(), ray.origin, center);
+    const b = vec3.dot(offset, ray.direction);
+    const c = vec3.dot(offset, offset) - radius * radius;
+    const discriminant = b * b - c;
+    if (discriminant < 0) {
+        return null;
+    }
+
+    const root = Math.sqrt(discriminant);
+    if (-b + root < 0) {
+        return null; // The sphere is behind the ray
+    }
+    return Math.max(-b - root, 0);
+}
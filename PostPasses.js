@@ -0,0 +1,147 @@
+// PostPasses.js
+
+import { FullScreenShader, RenderTarget } from './PostProcessor.js';
+import {
+    bloomExtractFragmentShaderSource,
+    blurFragmentShaderSource,
+    bloomCompositeFragmentShaderSource,
+    toneMappingFragmentShaderSource,
+    fxaaFragmentShaderSource,
+} from './shaders.js';
+
+/**
+ * Makes glowing things bleed light onto their surroundings.
+ *
+ * Only what the scene marked as glowing blooms: the main shader writes each fragment's
+ * emissive strength to alpha, so the star and night-side lights glow but a brightly lit
+ * planet does not. Run it first, before any pass that drops the alpha channel.
+ */
+export class BloomPass {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} [options]
+     * @param {boolean} [options.enabled=true]
+     * @param {number} [options.intensity=1.5] - How strongly the glow is added back.
+     * @param {number} [options.radius=1] - Spread of each blur step, in half-resolution texels.
+     * @param {number} [options.iterations=3] - Blur passes; more gives a wider, smoother glow.
+     * @param {number} [options.type] - Texel type of the blur images (see RenderTarget).
+     */
+    constructor(gl, { enabled = true, intensity = 1.5, radius = 1, iterations = 3, type } = {}) {
+        this.gl = gl;
+        this.name = 'bloom';
+        this.enabled = enabled;
+        this.intensity = intensity;
+        this.radius = radius;
+        this.iterations = iterations;
+
+        this.extractShader = new FullScreenShader(gl, bloomExtractFragmentShaderSource, ['Input']);
+        this.blurShader = new FullScreenShader(gl, blurFragmentShaderSource, ['Input', 'Direction']);
+        this.compositeShader = new FullScreenShader(gl, bloomCompositeFragmentShaderSource, ['Input', 'Bloom', 'Intensity']);
+
+        // Blurring at half resolution is four times cheaper and spreads twice as far
+        this.targets = [new RenderTarget(gl, { type }), new RenderTarget(gl, { type })];
+    }
+
+    resize(width, height) {
+        const halfWidth = Math.max(1, Math.floor(width / 2));
+        const halfHeight = Math.max(1, Math.floor(height / 2));
+        this.targets.forEach(target => target.resize(halfWidth, halfHeight));
+    }
+
+    render(inputTexture, outputTarget) {
+        const gl = this.gl;
+        const [blurA, blurB] = this.targets;
+
+        // --- 1. Keep only the glowing parts, at half resolution ---
+        this.extractShader.use();
+        this.extractShader.setTexture('Input', inputTexture, 0);
+        this.extractShader.draw(blurA);
+
+        // --- 2. Blur them, horizontally into B and back vertically into A ---
+        const blur = this.blurShader.use();
+        for (let i = 0; i < this.iterations; i++) {
+            this.blurShader.setTexture('Input', blurA.texture, 0);
+            gl.uniform2f(blur.Direction, this.radius / blurA.width, 0);
+            this.blurShader.draw(blurB);
+
+            this.blurShader.setTexture('Input', blurB.texture, 0);
+            gl.uniform2f(blur.Direction, 0, this.radius / blurA.height);
+            this.blurShader.draw(blurA);
+        }
+
+        // --- 3. Add the glow on top of the scene ---
+        const composite = this.compositeShader.use();
+        this.compositeShader.setTexture('Input', inputTexture, 0);
+        this.compositeShader.setTexture('Bloom', blurA.texture, 1);
+        gl.uniform1f(composite.Intensity, this.intensity);
+        this.compositeShader.draw(outputTarget);
+    }
+}
+
+/**
+ * Brings the scene's brightness into the [0, 1] range the screen can show, compressing
+ * highlights (the star, bloom) instead of clipping them.
+ */
+export class ToneMappingPass {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} [options]
+     * @param {boolean} [options.enabled=true]
+     * @param {'reinhard' | 'aces'} [options.operator='aces'] - The tone curve.
+     * @param {number} [options.exposure=1] - Brightness multiplier applied before the curve.
+     */
+    constructor(gl, { enabled = true, operator = 'aces', exposure = 1 } = {}) {
+        if (operator !== 'reinhard' && operator !== 'aces') {
+            throw new Error(`Unknown tone mapping operator "${operator}", expected "reinhard" or "aces".`);
+        }
+        this.gl = gl;
+        this.name = 'toneMapping';
+        this.enabled = enabled;
+        this.operator = operator;
+        this.exposure = exposure;
+
+        this.shader = new FullScreenShader(gl, toneMappingFragmentShaderSource, ['Input', 'Exposure', 'Operator']);
+    }
+
+    render(inputTexture, outputTarget) {
+        const gl = this.gl;
+        const uniforms = this.shader.use();
+        this.shader.setTexture('Input', inputTexture, 0);
+        gl.uniform1f(uniforms.Exposure, this.exposure);
+        gl.uniform1i(uniforms.Operator, this.operator === 'reinhard' ? 0 : 1);
+        this.shader.draw(outputTarget);
+    }
+}
+
+/**
+ * Smooths jagged edges. Belongs after tone mapping, since it judges edges by brightness.
+ */
+export class FXAAPass {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} [options]
+     * @param {boolean} [options.enabled=true]
+     */
+    constructor(gl, { enabled = true } = {}) {
+        this.gl = gl;
+        this.name = 'fxaa';
+        this.enabled = enabled;
+        this.width = 1;
+        this.height = 1;
+
+        this.shader = new FullScreenShader(gl, fxaaFragmentShaderSource, ['Input', 'TexelSize']);
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    render(inputTexture, outputTarget) {
+        const gl = this.gl;
+        const uniforms = this.shader.use();
+        this.shader.setTexture('Input', inputTexture, 0);
+        gl.uniform2f(uniforms.TexelSize, 1 / this.width, 1 / this.height);
+        this.shader.draw(outputTarget);
+    }
+}
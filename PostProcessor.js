@@ -0,0 +1,307 @@
+// PostProcessor.js
+
+import { fullScreenVertexShaderSource, copyFragmentShaderSource, compileShader, createShaderProgram } from './shaders.js';
+
+/**
+ * An offscreen image to render into, with an optional depth buffer.
+ */
+export class RenderTarget {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} [options]
+     * @param {number} [options.type] - Texel type, gl.UNSIGNED_BYTE by default. A half float type keeps
+     *                                  brightness above 1 for tone mapping.
+     * @param {boolean} [options.depth=false] - Whether to attach a depth buffer, for drawing 3D geometry.
+     */
+    constructor(gl, { type = gl.UNSIGNED_BYTE, depth = false } = {}) {
+        this.gl = gl;
+        this.type = type;
+        this.width = 0;
+        this.height = 0;
+
+        this.texture = gl.createTexture();
+        this.framebuffer = gl.createFramebuffer();
+        this.depthBuffer = depth ? gl.createRenderbuffer() : null;
+    }
+
+    /**
+     * (Re)allocates the image. Does nothing if the size is unchanged.
+     * @param {number} width - In pixels.
+     * @param {number} height - In pixels.
+     */
+    resize(width, height) {
+        if (width === this.width && height === this.height) {
+            return;
+        }
+        const gl = this.gl;
+        this.width = width;
+        this.height = height;
+
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, this.type, null);
+        const filter = this.type === gl.UNSIGNED_BYTE || gl.getExtension('OES_texture_half_float_linear')
+            ? gl.LINEAR
+            : gl.NEAREST;
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        if (this.depthBuffer) {
+            gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthBuffer);
+            gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.depthBuffer);
+        }
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error(`Render target ${width}x${height} is incomplete (status 0x${status.toString(16)}).`);
+        }
+    }
+
+    /**
+     * Makes this the target of draw calls, covering all of it.
+     */
+    bind() {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+    }
+}
+
+/**
+ * Binds the canvas, or a render target, for drawing.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {RenderTarget|null} target - null for the canvas.
+ */
+export function bindTarget(gl, target) {
+    if (target) {
+        target.bind();
+    } else {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    }
+}
+
+/**
+ * A fragment shader run once for every pixel of the target: the building block of passes.
+ */
+export class FullScreenShader {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {string} fragmentShaderSource - GLSL that reads v_TexCoord (see shaders.js).
+     * @param {string[]} uniformNames - Uniforms to look up, without the "u_" prefix.
+     */
+    constructor(gl, fragmentShaderSource, uniformNames) {
+        this.gl = gl;
+
+        const vertexShader = compileShader(gl, gl.VERTEX_SHADER, fullScreenVertexShaderSource);
+        const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSource);
+        this.program = vertexShader && fragmentShader
+            ? createShaderProgram(gl, vertexShader, fragmentShader)
+            : null;
+        if (!this.program) {
+            throw new Error('Could not build a post-processing shader program.');
+        }
+
+        this.uniformLocations = {};
+        for (const name of uniformNames) {
+            this.uniformLocations[name] = gl.getUniformLocation(this.program, `u_${name}`);
+        }
+
+        // Two triangles covering clip space
+        this.quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    }
+
+    /**
+     * Selects the program, so its uniforms can be set.
+     * @returns {object} The uniform locations, by the names given to the constructor.
+     */
+    use() {
+        this.gl.useProgram(this.program);
+        return this.uniformLocations;
+    }
+
+    /**
+     * Binds a texture to a unit and points a sampler uniform at it.
+     * @param {string} name - The sampler's name, without the "u_" prefix.
+     * @param {WebGLTexture} texture - The texture to read.
+     * @param {number} unit - The texture unit to use.
+     */
+    setTexture(name, texture, unit) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(this.uniformLocations[name], unit);
+    }
+
+    /**
+     * Runs the shader over the whole target. Call use() and set the uniforms first.
+     * @param {RenderTarget|null} target - Where to draw, null for the canvas.
+     */
+    draw(target) {
+        const gl = this.gl;
+        bindTarget(gl, target);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+}
+
+/**
+ * Renders the scene offscreen, then runs it through an ordered list of full-screen passes
+ * on its way to the canvas.
+ *
+ * A pass is any object with:
+ *   - name: used by getPass(),
+ *   - enabled: disabled passes are skipped,
+ *   - render(inputTexture, outputTarget): draws its effect of inputTexture into outputTarget
+ *     (a RenderTarget, or null for the canvas),
+ *   - resize(width, height): optional, called when the canvas changes size.
+ * Passes read their textures through units 0 and 1.
+ * See PostPasses.js for the built-in ones.
+ */
+export class PostProcessor {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.enabled = true;
+        this.passes = [];
+
+        // Half floats keep the star brighter than white until tone mapping, where supported
+        this.type = findHDRType(gl);
+        this.sceneTarget = new RenderTarget(gl, { type: this.type, depth: true });
+        // Passes read from one and write to the other, alternating
+        this.pingPong = [new RenderTarget(gl, { type: this.type }), new RenderTarget(gl, { type: this.type })];
+
+        this.copyShader = new FullScreenShader(gl, copyFragmentShaderSource, ['Input']);
+    }
+
+    /**
+     * Inserts a pass. Passes run in list order.
+     * @param {object} pass - The pass to add.
+     * @param {number} [index] - Where to insert it, at the end by default.
+     * @returns {object} The pass, for chaining.
+     */
+    addPass(pass, index = this.passes.length) {
+        this.passes.splice(index, 0, pass);
+        if (this.sceneTarget.width > 0 && pass.resize) {
+            pass.resize(this.sceneTarget.width, this.sceneTarget.height);
+        }
+        return pass;
+    }
+
+    /**
+     * Removes a pass. Does nothing if it is not in the list.
+     * @param {object} pass - The pass to remove.
+     */
+    removePass(pass) {
+        const index = this.passes.indexOf(pass);
+        if (index !== -1) {
+            this.passes.splice(index, 1);
+        }
+    }
+
+    /**
+     * @param {string} name - The pass' name.
+     * @returns {object|undefined} The first pass with that name.
+     */
+    getPass(name) {
+        return this.passes.find(pass => pass.name === name);
+    }
+
+    /**
+     * Redirects drawing into the offscreen scene image, matching the canvas size.
+     * Draw the scene between begin() and end().
+     */
+    begin() {
+        const { width, height } = this.gl.canvas;
+        this.resize(width, height);
+        this.sceneTarget.bind();
+    }
+
+    /**
+     * Resizes the offscreen images and every pass. Does nothing if the size is unchanged.
+     * begin() calls this to follow the canvas, so it is only needed to resize ahead of time.
+     * @param {number} width - In pixels.
+     * @param {number} height - In pixels.
+     */
+    resize(width, height) {
+        if (width === this.sceneTarget.width && height === this.sceneTarget.height) {
+            return;
+        }
+        this.sceneTarget.resize(width, height);
+        this.pingPong.forEach(target => target.resize(width, height));
+        for (const pass of this.passes) {
+            if (pass.resize) pass.resize(width, height);
+        }
+    }
+
+    /**
+     * Runs the enabled passes, the last one drawing to the canvas.
+     */
+    end() {
+        const gl = this.gl;
+        gl.disable(gl.DEPTH_TEST);
+
+        const activePasses = this.passes.filter(pass => pass.enabled);
+        if (activePasses.length === 0) {
+            this.copyShader.use();
+            this.copyShader.setTexture('Input', this.sceneTarget.texture, 0);
+            this.copyShader.draw(null);
+        }
+
+        let input = this.sceneTarget;
+        activePasses.forEach((pass, i) => {
+            const output = i === activePasses.length - 1 ? null : this.pingPong[i % 2];
+            pass.render(input.texture, output);
+            input = output;
+        });
+
+        // Unbind the pass inputs, or drawing next frame's scene would read the image it writes
+        for (const unit of [0, 1]) {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+        }
+        gl.enable(gl.DEPTH_TEST);
+    }
+}
+
+/**
+ * Private helper that picks the half float texel type if this GPU can render to it.
+ * @returns {number} The texel type for the offscreen images.
+ */
+function findHDRType(gl) {
+    const extension = gl.getExtension('OES_texture_half_float');
+    if (!extension) {
+        return gl.UNSIGNED_BYTE;
+    }
+
+    // Sampling half floats is common, rendering into them is not: try it
+    gl.getExtension('EXT_color_buffer_half_float');
+    const texture = gl.createTexture();
+    const framebuffer = gl.createFramebuffer();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, extension.HALF_FLOAT_OES, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.deleteFramebuffer(framebuffer);
+    gl.deleteTexture(texture);
+
+    if (!complete) {
+        console.warn('Half float render targets are not supported, bright colors will clip before tone mapping.');
+        return gl.UNSIGNED_BYTE;
+    }
+    return extension.HALF_FLOAT_OES;
+}
@@ -0,0 +1,59 @@
+// Random.js
+
+/**
+ * A seeded pseudo-random number generator (mulberry32).
+ * The same seed always gives the same sequence, so generated content (starfields,
+ * asteroid belts) looks the same on every load and on every machine.
+ */
+export class Random {
+    /**
+     * @param {number} [seed=1] - Any number. Only its lowest 32 bits are used.
+     */
+    constructor(seed = 1) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * @returns {number} A number in [0, 1).
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} min
+     * @param {number} max
+     * @returns {number} A number in [min, max).
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * A normally distributed number (Box-Muller).
+     * @param {number} [mean=0]
+     * @param {number} [standardDeviation=1]
+     * @returns {number}
+     */
+    normal(mean = 0, standardDeviation = 1) {
+        // 1 - next() is in (0, 1], so the logarithm stays finite
+        const u = 1 - this.next();
+        const v = this.next();
+        return mean + standardDeviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * A direction chosen evenly over the whole sphere.
+     * @returns {number[]} A unit vector [x, y, z].
+     */
+    unitVector() {
+        const z = this.range(-1, 1);
+        const angle = this.range(0, 2 * Math.PI);
+        const r = Math.sqrt(1 - z * z);
+        return [r * Math.cos(angle), r * Math.sin(angle), z];
+    }
+}
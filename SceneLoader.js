@@ -0,0 +1,742 @@
+// SceneLoader.js
+
+/**
+ * A scene file describes a star system declaratively:
+ *
+ * {
+ *   "name": "Default",
+ *   "axes": false,                  // Draw the world X/Y/Z axes
+ *   "shadows": {                    // Optional, bodies eclipsing each other (see ShadowMap.js)
+ *     "enabled": true,
+ *     "resolution": 512,            // Texels per side of each shadow cube face
+ *     "bias": 0.05                  // In world units, raise it if lit surfaces show stripes
+ *   },
+ *   "background": {                 // Optional, drawn behind the bodies (see Background.js)
+ *     "enabled": true,
+ *     "type": "starfield",          // Generated stars, the same for the same seed
+ *     "seed": 1,
+ *     "count": 4000
+ *   },
+ *   "postProcessing": {             // Optional effects on the finished image (see PostPasses.js)
+ *     "enabled": true,
+ *     "bloom": { "enabled": true, "intensity": 1.5, "radius": 1, "iterations": 3 },
+ *     "toneMapping": { "enabled": true, "operator": "aces", "exposure": 1 }, // Or "reinhard"
+ *     "fxaa": { "enabled": true }
+ *   },
+ *   "meshes": {                     // Extra models (.ply, .obj, .gltf, .glb), relative to this file
+ *     "rocket": "../Models/rocket.glb"
+ *   },
+ *   "bodies": [
+ *     {
+ *       "name": "Sun",
+ *       "mesh": "sphere",           // Key into the loaded models
+ *       "color": [1, 1, 0, 1],      // RGBA, each in [0, 1]
+ *       "scale": 2,                 // Uniform number or [x, y, z]
+ *       "spin": 0.2,                // Self-rotation speed (radians per second)
+ *       "emissive": true,           // Ignore lighting and glow
+ *       "texture": "../Textures/sun.png", // Optional image, mapped with the mesh's UVs
+ *       "lod": [                    // Optional simpler meshes, for when the body looks small
+ *         { "mesh": "icosphere", "maxScreenSize": 48 } // Used up to 48 pixels across
+ *       ]
+ *     },
+ *     {
+ *       "name": "Verdant",
+ *       "mesh": "icosphere",
+ *       "color": [0.2, 0.8, 0.2, 1],
+ *       "spin": 3,
+ *       "texture": "../Textures/earth.jpg",
+ *       "nightTexture": "../Textures/earth-night.jpg", // Lights on the side facing away from the star
+ *       "material": {               // Optional, see Material.js
+ *         "ambient": 0.2, "diffuse": 1, "specular": [0.6, 0.6, 0.6], "shininess": 64, "emissive": 0
+ *       },
+ *       "orbit": { "radius": 5, "speed": 1 },
+ *       "orbitPath": true,          // Draw the whole orbit as a line (default true, "kepler" physics only)
+ *       "trail": true               // Draw a fading line behind the body (default false)
+ *     },
+ *     {
+ *       "name": "Wanderer",
+ *       "mesh": "torus",
+ *       "color": [0.7, 0.3, 0.7, 1],
+ *       "orbit": {                  // Classical orbital elements, angles in degrees
+ *         "semiMajorAxis": 11,
+ *         "eccentricity": 0.3,
+ *         "inclination": 10,
+ *         "longitudeOfAscendingNode": 40,
+ *         "argumentOfPeriapsis": 90,
+ *         "meanAnomalyAtEpoch": 0,
+ *         "speed": 2               // Mean motion, same units as a circular orbit's speed
+ *       }
+ *     }
+ *   ]
+ * }
+ *
+ * A skybox uses six images instead, for the +X, -X, +Y, -Y, +Z and -Z faces:
+ *
+ *     "background": { "type": "skybox", "faces": ["px.jpg", "nx.jpg", "py.jpg", "ny.jpg", "pz.jpg", "nz.jpg"] }
+ *
+ * Exactly one body has no "orbit": that body is the star, placed at the origin.
+ * Other bodies orbit the star, unless they name another body as their "parent":
+ *
+ *     { "name": "Pebble", "parent": "Verdant", "orbit": { "radius": 1.5, "speed": 6 }, ... }
+ *
+ * A moon follows its parent around, and its orbit is measured from the parent.
+ *
+ * Asteroid belts and planetary rings are swarms of small rocks (see Belt.js), centered on
+ * the star or on the body they name as "parent":
+ *
+ *     "belts": [
+ *       {
+ *         "name": "Main Belt",
+ *         "parent": "Sun",          // Optional, the star by default
+ *         "mesh": "icosphere",      // One rock, scaled to each rock's size
+ *         "color": [0.6, 0.55, 0.5, 1],
+ *         "count": 3000,
+ *         "innerRadius": 13,
+ *         "outerRadius": 16,
+ *         "thickness": 0.6,         // Optional, default 0.2
+ *         "size": [0.03, 0.12],     // Optional, smallest and largest rock radius
+ *         "speed": 0.4,             // Optional, angular speed at the inner edge, default 1
+ *         "tilt": 0,                // Optional, degrees the plane leans about the X axis
+ *         "seed": 1,                // Optional, picks the arrangement
+ *         "colorVariation": 0.3,    // Optional, how much darker the darkest rocks are
+ *         "material": { ... }       // Optional, as for a body
+ *       }
+ *     ]
+ *
+ * Setting "physics": "nbody" moves the bodies under mutual gravity instead:
+ *
+ * {
+ *   "physics": "nbody",
+ *   "gravitationalConstant": 1,     // G, in scene units
+ *   "timeStep": 0.004,              // Fixed integration step, in seconds
+ *   "softening": 0,                 // Softening length for close passes
+ *   "bodies": [
+ *     { "name": "Sun", "mass": 1000, ... },
+ *     { "name": "Verdant", "mass": 1, "orbit": { "radius": 5 }, ... },
+ *     { "name": "Rogue", "mass": 5, "position": [30, 0, 0], "velocity": [0, 0, -2], ... }
+ *   ]
+ * }
+ *
+ * Every body then needs a "mass". A body starts either on its "orbit" around the star
+ * (its speed comes from gravity, so "speed" is not needed) or at an explicit
+ * "position" with a "velocity". The star is the one body with neither.
+ */
+
+/**
+ * Checks a parsed scene description and fills in defaults.
+ * Every problem found is collected, so a bad file reports all its mistakes at once.
+ *
+ * @param {object} scene - The parsed JSON scene description.
+ * @param {string[]} [meshNames] - If given, the mesh names that bodies may reference,
+ *                                 besides those the scene declares in "meshes".
+ * @returns {object} A normalized copy of the scene.
+ * @throws {Error} If the description is invalid. The message lists every problem.
+ */
+export function validateScene(scene, meshNames) {
+    const errors = [];
+
+    if (!isPlainObject(scene)) {
+        throw new Error('Invalid scene: the document must be a JSON object.');
+    }
+
+    if (scene.name !== undefined && typeof scene.name !== 'string') {
+        errors.push('name: must be a string.');
+    }
+    if (scene.axes !== undefined && typeof scene.axes !== 'boolean') {
+        errors.push('axes: must be true or false.');
+    }
+
+    const shadows = validateShadows(scene.shadows, errors);
+    const postProcessing = validatePostProcessing(scene.postProcessing, errors);
+    const background = validateBackground(scene.background, errors);
+
+    const meshes = {};
+    if (scene.meshes !== undefined) {
+        if (!isPlainObject(scene.meshes)) {
+            errors.push('meshes: must be an object mapping mesh names to model URLs.');
+        } else {
+            for (const [name, url] of Object.entries(scene.meshes)) {
+                if (typeof url !== 'string' || url === '') {
+                    errors.push(`meshes.${name}: must be a model URL.`);
+                } else {
+                    meshes[name] = url;
+                }
+            }
+        }
+    }
+    if (meshNames) {
+        meshNames = [...new Set([...meshNames, ...Object.keys(meshes)])];
+    }
+
+    const physics = scene.physics ?? 'kepler';
+    if (physics !== 'kepler' && physics !== 'nbody') {
+        errors.push('physics: must be "kepler" or "nbody".');
+    }
+    for (const key of ['gravitationalConstant', 'timeStep']) {
+        if (scene[key] !== undefined && (!isFiniteNumber(scene[key]) || scene[key] <= 0)) {
+            errors.push(`${key}: must be a positive number.`);
+        }
+    }
+    if (scene.softening !== undefined && (!isFiniteNumber(scene.softening) || scene.softening < 0)) {
+        errors.push('softening: must be a number >= 0.');
+    }
+
+    const belts = validateBelts(scene.belts, meshNames, errors);
+
+    const bodies = [];
+    if (!Array.isArray(scene.bodies) || scene.bodies.length === 0) {
+        errors.push('bodies: must be a non-empty array.');
+    } else {
+        const seenNames = new Set();
+        scene.bodies.forEach((body, i) => {
+            const normalized = validateBody(body, `bodies[${i}]`, meshNames, physics, errors);
+            if (!normalized) {
+                return;
+            }
+            if (seenNames.has(normalized.name)) {
+                errors.push(`bodies[${i}].name: "${normalized.name}" is used by more than one body.`);
+            }
+            seenNames.add(normalized.name);
+            bodies.push(normalized);
+        });
+
+        validateParents(bodies, errors);
+        const bodyNames = new Set(bodies.map(body => body.name));
+        belts.forEach((belt, i) => {
+            if (belt.parent !== null && !bodyNames.has(belt.parent)) {
+                errors.push(`belts[${i}].parent: no body is named "${belt.parent}".`);
+            }
+        });
+
+        const stars = bodies.filter(body => !body.orbit && !body.position);
+        if (bodies.length === scene.bodies.length && stars.length !== 1) {
+            // Under gravity, a second body placed nowhere would sit on the star
+            errors.push(physics === 'kepler'
+                ? `bodies: exactly one body must have no "orbit" (the star), found ${stars.length}.`
+                : `bodies: exactly one body must have neither "orbit" nor "position" (the star), found ${stars.length}.`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid scene:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        name: scene.name ?? 'Untitled',
+        axes: scene.axes ?? false,
+        shadows,
+        postProcessing,
+        background,
+        meshes,
+        physics,
+        gravitationalConstant: scene.gravitationalConstant ?? 1,
+        timeStep: scene.timeStep ?? 1 / 240,
+        softening: scene.softening ?? 0,
+        bodies,
+        belts,
+    };
+}
+
+/**
+ * Validates the optional "shadows" block.
+ * @returns {object} { enabled, resolution, bias } with defaults filled in.
+ */
+function validateShadows(shadows, errors) {
+    if (shadows === undefined) {
+        shadows = {};
+    } else if (!isPlainObject(shadows)) {
+        errors.push('shadows: must be an object.');
+        shadows = {};
+    }
+
+    if (shadows.enabled !== undefined && typeof shadows.enabled !== 'boolean') {
+        errors.push('shadows.enabled: must be true or false.');
+    }
+    if (shadows.resolution !== undefined &&
+        (!Number.isInteger(shadows.resolution) || shadows.resolution < 16)) {
+        errors.push('shadows.resolution: must be a whole number >= 16.');
+    }
+    if (shadows.bias !== undefined && (!isFiniteNumber(shadows.bias) || shadows.bias < 0)) {
+        errors.push('shadows.bias: must be a number >= 0.');
+    }
+    return {
+        enabled: shadows.enabled ?? true,
+        resolution: shadows.resolution ?? 512,
+        bias: shadows.bias ?? 0.05,
+    };
+}
+
+/**
+ * Validates the optional "background" block.
+ * @returns {object} { enabled, type, seed, count, faces } with defaults filled in.
+ */
+function validateBackground(background, errors) {
+    if (background === undefined) {
+        background = {};
+    } else if (!isPlainObject(background)) {
+        errors.push('background: must be an object.');
+        background = {};
+    }
+
+    if (background.enabled !== undefined && typeof background.enabled !== 'boolean') {
+        errors.push('background.enabled: must be true or false.');
+    }
+    const type = background.type ?? 'starfield';
+    if (type !== 'starfield' && type !== 'skybox') {
+        errors.push('background.type: must be "starfield" or "skybox".');
+    }
+    if (background.seed !== undefined && !Number.isInteger(background.seed)) {
+        errors.push('background.seed: must be a whole number.');
+    }
+    if (background.count !== undefined && (!Number.isInteger(background.count) || background.count < 0)) {
+        errors.push('background.count: must be a whole number >= 0.');
+    }
+    const faces = background.faces ?? null;
+    if (type === 'skybox' && (!Array.isArray(faces) || faces.length !== 6 ||
+        faces.some(face => typeof face !== 'string' || face === ''))) {
+        errors.push('background.faces: a skybox needs an array of 6 image URLs (+X, -X, +Y, -Y, +Z, -Z).');
+    }
+
+    return {
+        enabled: background.enabled ?? true,
+        type,
+        seed: background.seed ?? 1,
+        count: background.count ?? 4000,
+        faces,
+    };
+}
+
+/**
+ * Validates the optional "postProcessing" block. Each effect keeps only the settings
+ * given, so the passes' own defaults apply to the rest.
+ * @returns {object} { enabled, bloom, toneMapping, fxaa }.
+ */
+function validatePostProcessing(postProcessing, errors) {
+    if (postProcessing === undefined) {
+        postProcessing = {};
+    } else if (!isPlainObject(postProcessing)) {
+        errors.push('postProcessing: must be an object.');
+        postProcessing = {};
+    }
+    if (postProcessing.enabled !== undefined && typeof postProcessing.enabled !== 'boolean') {
+        errors.push('postProcessing.enabled: must be true or false.');
+    }
+
+    // Allowed numeric settings of each effect, with their smallest valid value
+    const effects = {
+        bloom: { intensity: 0, radius: 0, iterations: 1 },
+        toneMapping: { exposure: 0 },
+        fxaa: {},
+    };
+    const normalized = { enabled: postProcessing.enabled ?? true };
+    for (const [effect, numbers] of Object.entries(effects)) {
+        const settings = postProcessing[effect] ?? {};
+        const path = `postProcessing.${effect}`;
+        normalized[effect] = {};
+        if (!isPlainObject(settings)) {
+            errors.push(`${path}: must be an object.`);
+            continue;
+        }
+        if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+            errors.push(`${path}.enabled: must be true or false.`);
+        }
+        for (const [key, min] of Object.entries(numbers)) {
+            if (settings[key] !== undefined && (!isFiniteNumber(settings[key]) || settings[key] < min)) {
+                errors.push(`${path}.${key}: must be a number >= ${min}.`);
+            }
+        }
+        for (const key of ['enabled', ...Object.keys(numbers)]) {
+            if (settings[key] !== undefined) normalized[effect][key] = settings[key];
+        }
+    }
+    if (isPlainObject(postProcessing.toneMapping) && postProcessing.toneMapping.operator !== undefined) {
+        normalized.toneMapping.operator = postProcessing.toneMapping.operator;
+    }
+
+    const operator = normalized.toneMapping.operator;
+    if (operator !== undefined && operator !== 'reinhard' && operator !== 'aces') {
+        errors.push('postProcessing.toneMapping.operator: must be "reinhard" or "aces".');
+    }
+    if (!Number.isInteger(normalized.bloom.iterations ?? 1)) {
+        errors.push('postProcessing.bloom.iterations: must be a whole number.');
+    }
+    return normalized;
+}
+
+/**
+ * Validates the optional "belts" array. Parents are checked once the bodies are known.
+ * @returns {object[]} The normalized belts, with defaults filled in.
+ */
+function validateBelts(belts, meshNames, errors) {
+    if (belts === undefined) {
+        return [];
+    }
+    if (!Array.isArray(belts)) {
+        errors.push('belts: must be an array.');
+        return [];
+    }
+
+    const normalized = [];
+    belts.forEach((belt, i) => {
+        const path = `belts[${i}]`;
+        if (!isPlainObject(belt)) {
+            errors.push(`${path}: must be an object.`);
+            return;
+        }
+
+        if (belt.name !== undefined && typeof belt.name !== 'string') {
+            errors.push(`${path}.name: must be a string.`);
+        }
+        if (belt.parent !== undefined && typeof belt.parent !== 'string') {
+            errors.push(`${path}.parent: must be the name of a body.`);
+        }
+        if (typeof belt.mesh !== 'string') {
+            errors.push(`${path}.mesh: must be a string.`);
+        } else if (meshNames && !meshNames.includes(belt.mesh)) {
+            errors.push(`${path}.mesh: unknown mesh "${belt.mesh}" (available: ${meshNames.join(', ')}).`);
+        }
+        if (!isNumberArray(belt.color, 4) || belt.color.some(c => c < 0 || c > 1)) {
+            errors.push(`${path}.color: must be an array of 4 numbers between 0 and 1.`);
+        }
+
+        if (!Number.isInteger(belt.count) || belt.count < 0) {
+            errors.push(`${path}.count: must be a whole number >= 0.`);
+        }
+        if (!isFiniteNumber(belt.innerRadius) || belt.innerRadius <= 0) {
+            errors.push(`${path}.innerRadius: must be a positive number.`);
+        }
+        if (!isFiniteNumber(belt.outerRadius) || !(belt.outerRadius >= belt.innerRadius)) {
+            errors.push(`${path}.outerRadius: must be a number >= innerRadius.`);
+        }
+        if (belt.thickness !== undefined && (!isFiniteNumber(belt.thickness) || belt.thickness < 0)) {
+            errors.push(`${path}.thickness: must be a number >= 0.`);
+        }
+        if (belt.size !== undefined &&
+            (!isNumberArray(belt.size, 2) || belt.size[0] <= 0 || belt.size[1] < belt.size[0])) {
+            errors.push(`${path}.size: must be [smallest, largest], both positive.`);
+        }
+        for (const key of ['speed', 'tilt']) {
+            if (belt[key] !== undefined && !isFiniteNumber(belt[key])) {
+                errors.push(`${path}.${key}: must be a number.`);
+            }
+        }
+        if (belt.seed !== undefined && !Number.isInteger(belt.seed)) {
+            errors.push(`${path}.seed: must be a whole number.`);
+        }
+        if (belt.colorVariation !== undefined &&
+            (!isFiniteNumber(belt.colorVariation) || belt.colorVariation < 0 || belt.colorVariation > 1)) {
+            errors.push(`${path}.colorVariation: must be a number between 0 and 1.`);
+        }
+        const material = belt.material !== undefined
+            ? validateMaterial(belt.material, `${path}.material`, errors)
+            : null;
+
+        normalized.push({
+            name: belt.name ?? `Belt ${i + 1}`,
+            parent: typeof belt.parent === 'string' ? belt.parent : null,
+            mesh: belt.mesh,
+            color: belt.color,
+            count: belt.count,
+            innerRadius: belt.innerRadius,
+            outerRadius: belt.outerRadius,
+            thickness: belt.thickness ?? 0.2,
+            size: belt.size ?? [0.05, 0.15],
+            speed: belt.speed ?? 1,
+            tilt: belt.tilt ?? 0,
+            seed: belt.seed ?? 1,
+            colorVariation: belt.colorVariation ?? 0.3,
+            material,
+        });
+    });
+    return normalized;
+}
+
+/**
+ * Checks that every "parent" names another body, and that parents do not loop.
+ */
+function validateParents(bodies, errors) {
+    const byName = new Map(bodies.map(body => [body.name, body]));
+    const starCount = bodies.filter(body => !body.orbit && !body.position).length;
+
+    bodies.forEach((body, i) => {
+        if (body.parent === null) {
+            return;
+        }
+        if (!body.orbit && !body.position) {
+            // With several such bodies it is unclear which is the star: validateScene reports that
+            if (starCount === 1) {
+                errors.push(`bodies[${i}].parent: the star cannot have a parent.`);
+            }
+            return;
+        }
+        if (!byName.has(body.parent)) {
+            errors.push(`bodies[${i}].parent: no body is named "${body.parent}".`);
+            return;
+        }
+
+        // Walk up the chain: we must reach a body without a parent
+        const visited = new Set([body.name]);
+        for (let current = byName.get(body.parent); current; current = byName.get(current.parent)) {
+            if (visited.has(current.name)) {
+                errors.push(`bodies[${i}].parent: "${body.name}" is its own ancestor.`);
+                break;
+            }
+            visited.add(current.name);
+        }
+    });
+}
+
+/**
+ * Validates one entry of the "bodies" array.
+ * @returns {object|null} The normalized body, or null if it was not an object.
+ */
+function validateBody(body, path, meshNames, physics, errors) {
+    if (!isPlainObject(body)) {
+        errors.push(`${path}: must be an object.`);
+        return null;
+    }
+
+    if (typeof body.name !== 'string' || body.name === '') {
+        errors.push(`${path}.name: must be a non-empty string.`);
+    }
+
+    if (typeof body.mesh !== 'string') {
+        errors.push(`${path}.mesh: must be a string.`);
+    } else if (meshNames && !meshNames.includes(body.mesh)) {
+        errors.push(`${path}.mesh: unknown mesh "${body.mesh}" (available: ${meshNames.join(', ')}).`);
+    }
+
+    if (!isNumberArray(body.color, 4) || body.color.some(c => c < 0 || c > 1)) {
+        errors.push(`${path}.color: must be an array of 4 numbers between 0 and 1.`);
+    }
+
+    let scale = [1, 1, 1];
+    if (typeof body.scale === 'number' && body.scale > 0) {
+        scale = [body.scale, body.scale, body.scale];
+    } else if (isNumberArray(body.scale, 3) && body.scale.every(s => s > 0)) {
+        scale = body.scale.slice();
+    } else if (body.scale !== undefined) {
+        errors.push(`${path}.scale: must be a positive number or an array of 3 positive numbers.`);
+    }
+
+    if (body.parent !== undefined && typeof body.parent !== 'string') {
+        errors.push(`${path}.parent: must be the name of another body.`);
+    }
+    if (body.spin !== undefined && !isFiniteNumber(body.spin)) {
+        errors.push(`${path}.spin: must be a number.`);
+    }
+    for (const key of ['emissive', 'orbitPath', 'trail']) {
+        if (body[key] !== undefined && typeof body[key] !== 'boolean') {
+            errors.push(`${path}.${key}: must be true or false.`);
+        }
+    }
+    for (const key of ['texture', 'nightTexture']) {
+        if (body[key] !== undefined && (typeof body[key] !== 'string' || body[key] === '')) {
+            errors.push(`${path}.${key}: must be an image URL.`);
+        }
+    }
+
+    let material = null;
+    if (body.material !== undefined) {
+        material = validateMaterial(body.material, `${path}.material`, errors);
+    }
+
+    const lod = [];
+    if (body.lod !== undefined && !Array.isArray(body.lod)) {
+        errors.push(`${path}.lod: must be an array of { mesh, maxScreenSize }.`);
+    } else if (body.lod !== undefined) {
+        body.lod.forEach((level, i) => {
+            const levelPath = `${path}.lod[${i}]`;
+            if (!isPlainObject(level)) {
+                errors.push(`${levelPath}: must be an object.`);
+                return;
+            }
+            if (typeof level.mesh !== 'string') {
+                errors.push(`${levelPath}.mesh: must be a string.`);
+            } else if (meshNames && !meshNames.includes(level.mesh)) {
+                errors.push(`${levelPath}.mesh: unknown mesh "${level.mesh}" (available: ${meshNames.join(', ')}).`);
+            }
+            if (!isFiniteNumber(level.maxScreenSize) || level.maxScreenSize <= 0) {
+                errors.push(`${levelPath}.maxScreenSize: must be a positive number of pixels.`);
+            }
+            lod.push({ mesh: level.mesh, maxScreenSize: level.maxScreenSize });
+        });
+    }
+
+    let orbit = null;
+    if (body.orbit !== undefined) {
+        orbit = validateOrbit(body.orbit, `${path}.orbit`, physics, errors);
+    }
+
+    if (physics === 'nbody') {
+        if (!isFiniteNumber(body.mass) || body.mass <= 0) {
+            errors.push(`${path}.mass: must be a positive number in "nbody" physics.`);
+        }
+        if (body.position !== undefined && !isNumberArray(body.position, 3)) {
+            errors.push(`${path}.position: must be an array of 3 numbers.`);
+        }
+        if (body.velocity !== undefined && !isNumberArray(body.velocity, 3)) {
+            errors.push(`${path}.velocity: must be an array of 3 numbers.`);
+        }
+        if (body.orbit !== undefined && (body.position !== undefined || body.velocity !== undefined)) {
+            errors.push(`${path}: give either "orbit" or "position"/"velocity", not both.`);
+        }
+    } else if (body.position !== undefined || body.velocity !== undefined) {
+        errors.push(`${path}: "position" and "velocity" are only used in "nbody" physics.`);
+    }
+
+    return {
+        name: body.name,
+        parent: typeof body.parent === 'string' ? body.parent : null,
+        mesh: body.mesh,
+        color: body.color,
+        scale,
+        spin: body.spin ?? 0,
+        emissive: body.emissive ?? false,
+        texture: body.texture ?? null,
+        nightTexture: body.nightTexture ?? null,
+        material,
+        lod,
+        orbit,
+        orbitPath: body.orbitPath ?? true,
+        trail: body.trail ?? false,
+        mass: body.mass ?? 0,
+        position: body.position ?? null,
+        velocity: body.velocity ?? null,
+    };
+}
+
+/**
+ * Validates a body's "material" block. Only the given parameters are kept, so the
+ * rest fall back to Material's defaults.
+ */
+function validateMaterial(material, path, errors) {
+    if (!isPlainObject(material)) {
+        errors.push(`${path}: must be an object.`);
+        return null;
+    }
+
+    const normalized = {};
+    for (const key of ['ambient', 'diffuse', 'emissive']) {
+        if (material[key] === undefined) continue;
+        if (!isFiniteNumber(material[key]) || material[key] < 0) {
+            errors.push(`${path}.${key}: must be a number >= 0.`);
+        }
+        normalized[key] = material[key];
+    }
+    if (material.shininess !== undefined) {
+        if (!isFiniteNumber(material.shininess) || material.shininess < 1) {
+            errors.push(`${path}.shininess: must be a number >= 1.`);
+        }
+        normalized.shininess = material.shininess;
+    }
+    if (material.specular !== undefined) {
+        if (!isNumberArray(material.specular, 3) || material.specular.some(c => c < 0)) {
+            errors.push(`${path}.specular: must be an RGB array of 3 numbers >= 0.`);
+        }
+        normalized.specular = material.specular;
+    }
+    return normalized;
+}
+
+/**
+ * Validates a body's "orbit" block. It is either circular ({ radius, speed })
+ * or given by classical orbital elements, with angles in degrees:
+ * { semiMajorAxis, eccentricity, inclination, longitudeOfAscendingNode,
+ *   argumentOfPeriapsis, meanAnomalyAtEpoch, speed }
+ */
+function validateOrbit(orbit, path, physics, errors) {
+    if (!isPlainObject(orbit)) {
+        errors.push(`${path}: must be an object.`);
+        return null;
+    }
+
+    if (orbit.radius !== undefined && orbit.semiMajorAxis !== undefined) {
+        errors.push(`${path}: give either "radius" or "semiMajorAxis", not both.`);
+    } else if (orbit.semiMajorAxis !== undefined) {
+        if (!isFiniteNumber(orbit.semiMajorAxis) || orbit.semiMajorAxis <= 0) {
+            errors.push(`${path}.semiMajorAxis: must be a positive number.`);
+        }
+    } else if (!isFiniteNumber(orbit.radius) || orbit.radius <= 0) {
+        errors.push(`${path}.radius: must be a positive number.`);
+    }
+
+    if (orbit.eccentricity !== undefined &&
+        (!isFiniteNumber(orbit.eccentricity) || orbit.eccentricity < 0 || orbit.eccentricity >= 1)) {
+        errors.push(`${path}.eccentricity: must be a number in [0, 1).`);
+    }
+    for (const angle of ['inclination', 'longitudeOfAscendingNode', 'argumentOfPeriapsis', 'meanAnomalyAtEpoch']) {
+        if (orbit[angle] !== undefined && !isFiniteNumber(orbit[angle])) {
+            errors.push(`${path}.${angle}: must be a number of degrees.`);
+        }
+    }
+    if (orbit.radius !== undefined && orbit.eccentricity !== undefined && orbit.eccentricity !== 0) {
+        errors.push(`${path}: a "radius" orbit is circular, use "semiMajorAxis" with "eccentricity".`);
+    }
+
+    // Under gravity the speed follows from the masses
+    if ((physics === 'kepler' || orbit.speed !== undefined) && !isFiniteNumber(orbit.speed)) {
+        errors.push(`${path}.speed: must be a number.`);
+    }
+
+    return {
+        radius: orbit.radius,
+        semiMajorAxis: orbit.semiMajorAxis,
+        eccentricity: orbit.eccentricity,
+        inclination: orbit.inclination,
+        longitudeOfAscendingNode: orbit.longitudeOfAscendingNode,
+        argumentOfPeriapsis: orbit.argumentOfPeriapsis,
+        meanAnomalyAtEpoch: orbit.meanAnomalyAtEpoch,
+        speed: orbit.speed ?? 0,
+    };
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isNumberArray(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(isFiniteNumber);
+}
+
+/**
+ * Fetches a scene description from the given URL and validates it.
+ *
+ * @param {string} url - The path to the .json scene file.
+ * @param {string[]} [meshNames] - The mesh names that bodies may reference.
+ * @returns {Promise<object>} A promise that resolves with the normalized scene.
+ */
+export async function loadScene(url, meshNames) {
+    try {
+        console.log(`Loading scene: ${url}`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+        }
+        const scene = validateScene(await response.json(), meshNames);
+
+        // Model and image paths are written relative to the scene file
+        const baseUrl = new URL(url, document.baseURI);
+        for (const name of Object.keys(scene.meshes)) {
+            scene.meshes[name] = new URL(scene.meshes[name], baseUrl).href;
+        }
+        if (scene.background.faces) {
+            scene.background.faces = scene.background.faces.map(face => new URL(face, baseUrl).href);
+        }
+        for (const body of scene.bodies) {
+            for (const key of ['texture', 'nightTexture']) {
+                if (body[key]) {
+                    body[key] = new URL(body[key], baseUrl).href;
+                }
+            }
+        }
+        return scene;
+    } catch (error) {
+        console.error(`Error loading scene file ${url}: `, error);
+        throw error;
+    }
+}
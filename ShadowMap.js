@@ -0,0 +1,179 @@
+// ShadowMap.js
+
+import { shadowVertexShaderSource, shadowFragmentShaderSource, compileShader, createShaderProgram } from './shaders.js';
+
+const { mat4, vec3 } = window;
+
+/**
+ * The six cube faces, each looking along one axis from the light.
+ * The "up" vectors follow the cube map layout, so textureCube() finds what was drawn here.
+ */
+const CUBE_FACES = [
+    { target: 'TEXTURE_CUBE_MAP_POSITIVE_X', direction: [1, 0, 0], up: [0, -1, 0] },
+    { target: 'TEXTURE_CUBE_MAP_NEGATIVE_X', direction: [-1, 0, 0], up: [0, -1, 0] },
+    { target: 'TEXTURE_CUBE_MAP_POSITIVE_Y', direction: [0, 1, 0], up: [0, 0, 1] },
+    { target: 'TEXTURE_CUBE_MAP_NEGATIVE_Y', direction: [0, -1, 0], up: [0, 0, -1] },
+    { target: 'TEXTURE_CUBE_MAP_POSITIVE_Z', direction: [0, 0, 1], up: [0, -1, 0] },
+    { target: 'TEXTURE_CUBE_MAP_NEGATIVE_Z', direction: [0, 0, -1], up: [0, -1, 0] },
+];
+
+/**
+ * An omnidirectional shadow map for the star, which lights the scene in every direction.
+ *
+ * Each frame the scene is drawn six times from the star, once per cube face, storing the
+ * distance to the nearest surface. A fragment further from the star than what the map
+ * holds in its direction is behind another body: that is an eclipse.
+ */
+export class ShadowMap {
+    /**
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} [options]
+     * @param {number} [options.resolution=512] - Width and height of each cube face, in texels.
+     * @param {number} [options.bias=0.05] - How much closer than the stored distance a surface must be to
+     *                                       count as lit, in world units. Raise it if bodies shadow themselves
+     *                                       in stripes, lower it if shadows detach from their casters.
+     * @param {number} [options.far=200] - Shadows are only cast up to this distance from the star.
+     */
+    constructor(gl, { resolution = 512, bias = 0.05, far = 200 } = {}) {
+        this.gl = gl;
+        this.bias = bias;
+        this.far = far;
+        this.resolution = 0;
+
+        this.programInfo = this._createProgram();
+        this.texture = gl.createTexture();
+        this.depthBuffer = gl.createRenderbuffer();
+        this.framebuffers = CUBE_FACES.map(() => gl.createFramebuffer());
+
+        this.projectionMatrix = mat4.create();
+        this.viewMatrix = mat4.create();
+
+        this.setResolution(resolution);
+    }
+
+    /**
+     * Private helper that builds the program writing distances from the light.
+     */
+    _createProgram() {
+        const gl = this.gl;
+        const vertexShader = compileShader(gl, gl.VERTEX_SHADER, shadowVertexShaderSource);
+        const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, shadowFragmentShaderSource);
+        const program = vertexShader && fragmentShader
+            ? createShaderProgram(gl, vertexShader, fragmentShader)
+            : null;
+        if (!program) {
+            throw new Error('Could not build the shadow map shader program.');
+        }
+
+        return {
+            program: program,
+            attribLocations: {
+                position: gl.getAttribLocation(program, 'a_Position'),
+            },
+            uniformLocations: {
+                projectionMatrix: gl.getUniformLocation(program, 'u_ProjectionMatrix'),
+                viewMatrix: gl.getUniformLocation(program, 'u_ViewMatrix'),
+                modelMatrix: gl.getUniformLocation(program, 'u_ModelMatrix'),
+                lightPosition: gl.getUniformLocation(program, 'u_LightPosition'),
+                far: gl.getUniformLocation(program, 'u_Far'),
+            },
+        };
+    }
+
+    /**
+     * (Re)allocates the cube map. Higher resolutions give sharper shadow edges, at the
+     * cost of six times resolution² texels of memory and fill rate.
+     * @param {number} resolution - Width and height of each cube face, in texels.
+     */
+    setResolution(resolution) {
+        const gl = this.gl;
+        const maxSize = gl.getParameter(gl.MAX_CUBE_MAP_TEXTURE_SIZE);
+        if (typeof maxSize === 'number' && resolution > maxSize) {
+            console.warn(`Shadow map resolution ${resolution} is above this GPU's limit, using ${maxSize}.`);
+            resolution = maxSize;
+        }
+        this.resolution = resolution;
+
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+        for (const face of CUBE_FACES) {
+            gl.texImage2D(gl[face.target], 0, gl.RGBA, resolution, resolution, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        }
+        // Packed distances must not be blended with their neighbors
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, resolution, resolution);
+
+        // One framebuffer per face, all sharing the depth buffer
+        CUBE_FACES.forEach((face, i) => {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[i]);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl[face.target], this.texture, 0);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.depthBuffer);
+        });
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error(`The shadow map framebuffer is incomplete (status 0x${status.toString(16)}).`);
+        }
+    }
+
+    /**
+     * Draws the shadow casters into all six faces. Leaves the default framebuffer bound,
+     * but the viewport and program are the shadow map's: the caller must restore them.
+     * @param {GameObject} root - The hierarchy to draw. Emissive objects cast no shadows.
+     * @param {vec3} lightPosition - Where the star is, in world space.
+     */
+    render(root, lightPosition) {
+        const gl = this.gl;
+        const info = this.programInfo;
+
+        gl.useProgram(info.program);
+        gl.viewport(0, 0, this.resolution, this.resolution);
+
+        // --- 1. Same projection for every face: a 90 degree frustum each ---
+        mat4.perspective(this.projectionMatrix, Math.PI / 2, 1, 0.1, this.far);
+        gl.uniformMatrix4fv(info.uniformLocations.projectionMatrix, false, this.projectionMatrix);
+        gl.uniform3fv(info.uniformLocations.lightPosition, lightPosition);
+        gl.uniform1f(info.uniformLocations.far, this.far);
+
+        // Nothing drawn means nothing in the way: clear to the largest distance
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        gl.clearColor(1, 1, 1, 1);
+
+        // --- 2. Draw the scene once per face ---
+        const target = vec3.create();
+        CUBE_FACES.forEach((face, i) => {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[i]);
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+            vec3.add(target, lightPosition, face.direction);
+            mat4.lookAt(this.viewMatrix, lightPosition, target, face.up);
+            gl.uniformMatrix4fv(info.uniformLocations.viewMatrix, false, this.viewMatrix);
+
+            root.drawDepth(info);
+        });
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (clearColor) {
+            gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+        }
+    }
+
+    /**
+     * Binds the cube map and sets the main program's shadow uniforms.
+     * @param {object} uniformLocations - The main program's uniform locations.
+     * @param {number} unit - The texture unit u_ShadowMap reads from.
+     */
+    apply(uniformLocations, unit) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+        gl.uniform1i(uniformLocations.useShadows, 1);
+        gl.uniform1f(uniformLocations.shadowBias, this.bias);
+        gl.uniform1f(uniformLocations.shadowFar, this.far);
+    }
+}
@@ -0,0 +1,74 @@
+// SimulationClock.js
+
+/**
+ * Turns real frame times into simulated time.
+ *
+ * The clock can be paused, sped up, slowed down and run backwards, and stepped by a
+ * fixed amount while paused. Real frame times are clamped first, so a tab that was in
+ * the background for a minute does not make the system jump a minute ahead.
+ */
+export class SimulationClock {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.timeScale=1] - Simulated seconds per real second. Negative runs backwards.
+     * @param {number} [options.maxDelta=0.1] - The longest real frame time taken at face value, in seconds.
+     * @param {number} [options.stepSize=0.1] - Simulated seconds per step().
+     */
+    constructor({ timeScale = 1, maxDelta = 0.1, stepSize = 0.1 } = {}) {
+        this.time = 0;          // Simulated seconds since the start
+        this.timeScale = timeScale;
+        this.maxDelta = maxDelta;
+        this.stepSize = stepSize;
+        this.paused = false;
+        this.pendingSteps = 0;  // Steps asked for since the last tick
+    }
+
+    /**
+     * Clamps a real frame time to [0, maxDelta].
+     * @param {number} realDelta - Real seconds since the last frame.
+     * @returns {number}
+     */
+    clampDelta(realDelta) {
+        return Math.min(Math.max(realDelta, 0), this.maxDelta);
+    }
+
+    /**
+     * Moves the clock on by one frame.
+     * @param {number} realDelta - Real seconds since the last frame, already clamped.
+     * @returns {number} Simulated seconds that passed. Negative when running backwards.
+     */
+    tick(realDelta) {
+        let deltaTime = this.paused ? 0 : realDelta * this.timeScale;
+        deltaTime += this.pendingSteps * this.stepSize;
+        this.pendingSteps = 0;
+
+        this.time += deltaTime;
+        return deltaTime;
+    }
+
+    play() {
+        this.paused = false;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Advances by stepSize on the next tick, whether paused or not.
+     * @param {number} [direction=1] - 1 to step forward, -1 to step back.
+     */
+    step(direction = 1) {
+        this.pendingSteps += Math.sign(direction);
+    }
+
+    /**
+     * @param {number} timeScale - Simulated seconds per real second. Negative runs backwards.
+     */
+    setTimeScale(timeScale) {
+        if (!Number.isFinite(timeScale)) {
+            throw new Error(`Time scale must be a finite number, got ${timeScale}.`);
+        }
+        this.timeScale = timeScale;
+    }
+}
@@ -1,25 +1,88 @@
 import { GameObject } from './GameObject.js';
+import { elementsFromOrbit, orbitalPosition, orbitalState, orbitPathPoints } from './Kepler.js';
+import { NBodySimulation } from './NBody.js';
+import { Texture } from './Texture.js';
+import { Material } from './Material.js';
+import { ShadowMap } from './ShadowMap.js';
+import { PostProcessor } from './PostProcessor.js';
+import { BloomPass, ToneMappingPass, FXAAPass } from './PostPasses.js';
+import { Starfield, Skybox } from './Background.js';
+import { Line, Trail, LineRenderer } from './Lines.js';
+import { screenRay, intersectSphere } from './Picking.js';
+import { SimulationClock } from './SimulationClock.js';
+import { Belt } from './Belt.js';
+import { frustumPlanes, sphereInFrustum } from './Frustum.js';
+import { VIEW_STATE_VERSION, validateViewState } from './ViewState.js';
 
 const { mat4, vec3 } = window;
 
-export class StarSystem {
+/**
+ * Renders and animates a star system.
+ *
+ * Events:
+ *   - "select": the selected body changed. event.detail.body is its bodyProp, or null.
+ *   - "restore": setViewState() changed the camera and clock, so controls showing them are stale.
+ */
+export class StarSystem extends EventTarget {
     /**
      * @param {WebGLRenderingContext} gl
      * @param {object} programInfo
      * @param {object} models - An object with all your loaded models, e.g., { sphere, cone, ... }
+     * @param {object} scene - A validated scene description (see SceneLoader.js).
      */
-    constructor(gl, programInfo, models) {
+    constructor(gl, programInfo, models, scene) {
+        super();
         this.gl = gl;
         if (!mat4) {
 
         }
         this.programInfo = programInfo;
         this.models = models;
+        this.scene = scene;
+
+        // Every body hangs off this invisible root node
+        this.root = new GameObject(gl, programInfo, null);
 
         // Arrays to hold our scene objects
         this.planets = [];
+        this.belts = []; // Asteroid belts and rings: { name, belt, parent, tilt }
         this.axes = [];
+        this.axesRoot = new GameObject(gl, programInfo, null);
         this.star = null;
+        this.starProp = null;
+        this.showAxes = scene.axes;
+
+        // Only set in "nbody" physics, where gravity replaces the scripted orbits
+        this.simulation = null;
+
+        // Textures by URL, so bodies sharing an image load it once
+        this.textures = new Map();
+
+        // Eclipses: the star's shadow map, redrawn every frame while enabled
+        this.shadowMap = new ShadowMap(gl, scene.shadows);
+        this.shadowsEnabled = scene.shadows.enabled;
+
+        // The scene is drawn offscreen and finished by these passes, in order
+        this.postProcessor = this._createPostProcessor(scene.postProcessing);
+
+        // Stars or a skybox, drawn behind everything else
+        this.background = scene.background.type === 'skybox'
+            ? new Skybox(gl, scene.background.faces)
+            : new Starfield(gl, { seed: scene.background.seed, count: scene.background.count });
+        this.showBackground = scene.background.enabled;
+
+        // Orbit paths and motion trails, for the bodies that ask for them
+        this.lineRenderer = new LineRenderer(gl);
+        this.showOrbitPaths = true;
+        this.showTrails = true;
+        this.showBelts = true;
+
+        // What the last frame drew, for profiling: objects drawn, skipped as out of view,
+        // and drawn with a simpler mesh. Belts count as one object each.
+        this.renderStats = { drawn: 0, culled: 0, reducedDetail: 0 };
+
+        // The body clicked on, see select()
+        this.selected = null;
 
         // Camera matrices
         this.projectionMatrix = mat4.create();
@@ -32,80 +95,600 @@ export class StarSystem {
         this.cameraRadius = 25;  // Distance from the origin
         this.minCameraRadius = 5.0;  // Don't let user zoom inside the star
         this.maxCameraRadius = 100.0; // Don't let user zoom out too far
-        this.zoomSensitivity = 0.1;  // Adjusts zoom speed
 
-        // Timekeeping for animation
+        // What the orbiting camera looks at: the origin in 3D mode, a body in FOLLOW mode.
+        // Switching glides from the old point to the new one over transitionDuration seconds.
+        // cameraPan slides the camera off that point, see panCamera().
+        this.followTarget = null;
+        this.cameraTarget = vec3.create();
+        this.cameraPan = vec3.create();
+        this.transitionFrom = vec3.create();
+        this.transitionDuration = 1.0;
+        this.transitionTime = this.transitionDuration;
+
+        // Free-fly camera: a position plus a heading (see flyCamera)
+        this.flyPosition = vec3.create();
+        this.flyYaw = 0;    // 0 looks down -Z, positive turns left
+        this.flyPitch = 0;  // Positive looks up
+        this.flySpeed = 5;  // Units per second
+        this.flyBoost = 4;  // Speed multiplier while boosting
+
+        // Where the camera was last drawn from, in world space
+        this.cameraPosition = vec3.create();
+
+        // Drawing buffer pixels per CSS pixel are capped at this, see resize()
+        this.maxPixelRatio = 2;
+
+        // Timekeeping for animation: real frame times in, simulated time out
         this.lastTime = 0;
+        this.clock = new SimulationClock();
+        this.timeDirection = 1; // Which way the trails were recorded, see _update()
+
+        // While a screenshot or recording has the canvas, the live loop leaves it alone
+        this.capturing = false;
+        this.liveBufferSize = null; // The size to go back to, kept current by resize()
+        this.stopRequested = false; // See stopRecording()
 
         this._setupScene();
     }
 
     /**
      * Sets the camera mode.
-     * @param {'3D' | 'TOP'} mode - The camera mode to switch to.
+     * 'FOLLOW' orbits the selected body (see follow()), or the last one followed if nothing is selected.
+     * 'FREE' flies from wherever the camera is now, facing the same way.
+     * @param {'3D' | 'TOP' | 'FOLLOW' | 'FREE'} mode - The camera mode to switch to.
      */
     setCameraMode(mode) {
-        if (mode === '3D' || mode === 'TOP') this.cameraMode = mode;
+        if (mode === 'FOLLOW') {
+            const target = this.selected ?? this.followTarget;
+            if (!target) {
+                console.log("Nothing to follow: select a body first.");
+                return;
+            }
+            this.follow(target);
+        } else if (mode === 'FREE') {
+            if (this.cameraMode !== 'FREE') this._startFlying();
+            this.cameraMode = mode;
+        } else if (mode === '3D' || mode === 'TOP') {
+            if (mode !== this.cameraMode) this._startCameraTransition();
+            this.cameraMode = mode;
+        }
         else console.log("Invalid camera mode:", mode);
     }
 
     /**
-     * Creates all the initial GameObjects for the scene.
+     * Switches to FOLLOW mode around a body. The camera keeps its yaw, pitch and radius,
+     * now measured from the body, and glides over to it.
+     * @param {object|string} body - The body's properties or name.
+     */
+    follow(body) {
+        if (typeof body === 'string') {
+            const name = body;
+            body = [this.starProp, ...this.planets].find(bodyProp => bodyProp.name === name);
+            if (!body) {
+                throw new Error(`Cannot follow "${name}": there is no body by that name.`);
+            }
+        }
+        if (this.cameraMode === 'FOLLOW' && body === this.followTarget) {
+            return;
+        }
+        this._startCameraTransition();
+        this.followTarget = body;
+        this.cameraMode = 'FOLLOW';
+        this.cameraRadius = Math.max(this.cameraRadius, this._minCameraRadius());
+    }
+
+    /**
+     * Private helper that puts the free-fly camera where the current view is.
+     */
+    _startFlying() {
+        vec3.copy(this.flyPosition, this.cameraPosition);
+
+        // The view matrix's third row is the camera's backward axis in world space
+        const v = this.viewMatrix;
+        const forward = vec3.normalize(vec3.create(), [-v[2], -v[6], -v[10]]);
+        this.flyPitch = Math.asin(Math.max(-1, Math.min(1, forward[1])));
+        this.flyYaw = Math.atan2(-forward[0], -forward[2]);
+    }
+
+    /**
+     * Private helper for the direction the free-fly camera faces.
+     * @returns {vec3} A unit vector.
+     */
+    _flyForward() {
+        const cosPitch = Math.cos(this.flyPitch);
+        return vec3.fromValues(
+            -Math.sin(this.flyYaw) * cosPitch,
+            Math.sin(this.flyPitch),
+            -Math.cos(this.flyYaw) * cosPitch
+        );
+    }
+
+    /**
+     * Private helper that starts gliding from wherever the camera looks now.
+     */
+    _startCameraTransition() {
+        vec3.copy(this.transitionFrom, this.cameraTarget);
+        vec3.set(this.cameraPan, 0, 0, 0);
+        this.transitionTime = 0;
+    }
+
+    /**
+     * Private helper that moves the camera target towards the origin or the followed body.
+     * @param {number} deltaTime - Real seconds since the last frame.
+     */
+    _updateCameraTarget(deltaTime) {
+        const goal = this.cameraMode === 'FOLLOW'
+            ? mat4.getTranslation(vec3.create(), this.followTarget.node.worldMatrix)
+            : vec3.create();
+        vec3.add(goal, goal, this.cameraPan);
+
+        // Ease in and out, and keep tracking the goal as it moves
+        this.transitionTime = Math.min(this.transitionTime + deltaTime, this.transitionDuration);
+        const t = this.transitionDuration > 0 ? this.transitionTime / this.transitionDuration : 1;
+        vec3.lerp(this.cameraTarget, this.transitionFrom, goal, t * t * (3 - 2 * t));
+    }
+
+    /**
+     * Private helper for how close the camera may zoom: outside the followed body, or the star.
+     */
+    _minCameraRadius() {
+        if (this.cameraMode !== 'FOLLOW') {
+            return this.minCameraRadius;
+        }
+        return 1.5 * this.followTarget.planet.getWorldBoundingSphere().radius;
+    }
+
+    /**
+     * Turns shadow casting (eclipses) on or off.
+     * @param {boolean} enabled
+     */
+    setShadowsEnabled(enabled) {
+        this.shadowsEnabled = enabled;
+    }
+
+    /**
+     * Changes the shadow map's quality settings. Either may be left out.
+     * @param {object} options
+     * @param {number} [options.resolution] - Texels per side of each cube face.
+     * @param {number} [options.bias] - Distance tolerance against self-shadowing, in world units.
+     */
+    setShadowOptions({ resolution, bias }) {
+        if (resolution !== undefined && resolution !== this.shadowMap.resolution) {
+            this.shadowMap.setResolution(resolution);
+        }
+        if (bias !== undefined) {
+            this.shadowMap.bias = bias;
+        }
+    }
+
+    /**
+     * Private helper that builds the default pass list: bloom, tone mapping, then FXAA.
+     * More passes can be added later with this.postProcessor.addPass().
+     * @param {object} settings - The scene's validated "postProcessing" block.
+     * @returns {PostProcessor}
+     */
+    _createPostProcessor(settings) {
+        const postProcessor = new PostProcessor(this.gl);
+        postProcessor.enabled = settings.enabled;
+        postProcessor.addPass(new BloomPass(this.gl, { ...settings.bloom, type: postProcessor.type }));
+        postProcessor.addPass(new ToneMappingPass(this.gl, settings.toneMapping));
+        postProcessor.addPass(new FXAAPass(this.gl, settings.fxaa));
+        return postProcessor;
+    }
+
+    /**
+     * Creates all the initial GameObjects for the scene from the scene description.
      */
     _setupScene() {
-        const gl = this.gl;
-        const info = this.programInfo;
+        const scene = this.scene;
+
+        // The star is the light source, every top-level orbit is measured from it
+        const starBody = scene.bodies.find(body => !body.orbit && !body.position);
+
+        if (scene.physics === 'nbody') {
+            this.simulation = new NBodySimulation({
+                gravitationalConstant: scene.gravitationalConstant,
+                timeStep: scene.timeStep,
+                softening: scene.softening,
+            });
+        }
+
+        // --- Build the hierarchy, parents before their children ---
+        const propsByName = new Map();
+        const createProp = (body) => {
+            if (propsByName.has(body.name)) {
+                return propsByName.get(body.name);
+            }
+            const parentName = body.parent ?? (body === starBody ? null : starBody.name);
+            const parentProp = parentName
+                ? createProp(scene.bodies.find(other => other.name === parentName))
+                : null;
+
+            const bodyProp = this._createBodyProp(body, parentProp);
+            propsByName.set(body.name, bodyProp);
+            if (body === starBody) {
+                this.starProp = bodyProp;
+                this.star = bodyProp.planet;
+            } else {
+                this.planets.push(bodyProp);
+            }
+            return bodyProp;
+        };
+        scene.bodies.forEach(createProp);
+
+        // --- Belts and rings, centered on their body ---
+        for (const belt of scene.belts) {
+            this.belts.push(this._createBelt(belt, propsByName.get(belt.parent ?? starBody.name)));
+        }
+
+        // Look at the system from its barycenter, so it does not drift out of view
+        if (this.simulation) {
+            this.simulation.zeroMomentum();
+        }
+
+        this._setupAxes();
+    }
+
+    /**
+     * Private helper that scatters one belt's rocks.
+     * @param {object} belt - A validated belt from the scene description.
+     * @param {object} parentProp - The body it circles.
+     * @returns {object} { name, belt, parent, tilt }, as stored in this.belts.
+     */
+    _createBelt(belt, parentProp) {
+        const model = this.models[belt.mesh];
+        if (!model) {
+            throw new Error(`Belt "${belt.name}" uses mesh "${belt.mesh}", which was not loaded.`);
+        }
+        const material = belt.material ? new Material({ ambient: 0.15, ...belt.material }) : undefined;
+        return {
+            name: belt.name,
+            belt: new Belt(this.gl, model, { ...belt, material }),
+            parent: parentProp,
+            tilt: belt.tilt * Math.PI / 180,
+        };
+    }
+
+    /**
+     * Private helper that creates the GameObjects and animation state for one body.
+     *
+     * Each body gets two nodes: an invisible "node" that only follows the orbit, and the
+     * visible "planet" mesh below it that also spins and scales. Moons hang off the node,
+     * so they follow the orbit without inheriting the spin or scale.
+     *
+     * @param {object} body - A validated body from the scene description.
+     * @param {object|null} parentProp - The body this one orbits, null for the star.
+     * @returns {object} The body's properties, as stored in this.planets.
+     */
+    _createBodyProp(body, parentProp) {
+        const model = this.models[body.mesh];
+        if (!model) {
+            throw new Error(`Body "${body.name}" uses mesh "${body.mesh}", which was not loaded.`);
+        }
+
+        const node = new GameObject(this.gl, this.programInfo, null);
+        // "emissive": true starts from the glowing preset, "material" fine-tunes either one
+        const material = body.emissive
+            ? Material.emissive(body.material ?? {})
+            : new Material(body.material ?? {});
+        const planet = new GameObject(this.gl, this.programInfo, model, body.color, material);
+        for (const level of body.lod) {
+            if (!this.models[level.mesh]) {
+                throw new Error(`Body "${body.name}" uses mesh "${level.mesh}" for its LOD, which was not loaded.`);
+            }
+            planet.addLevelOfDetail(this.models[level.mesh], level.maxScreenSize);
+        }
+        planet.diffuseMap = this._getTexture(body.texture);
+        planet.emissiveMap = this._getTexture(body.nightTexture);
+        node.addChild(planet);
+
+        // Under gravity every position is absolute, so the hierarchy stays flat
+        if (parentProp && !this.simulation) {
+            parentProp.node.addChild(node);
+        } else {
+            this.root.addChild(node);
+        }
+
+        const bodyProp = {
+            name: body.name,
+            parent: parentProp,
+            node: node,
+            planet: planet,
+            elements: body.orbit ? elementsFromOrbit(body.orbit) : null,
+            orbit: body.orbit ? (body.orbit.semiMajorAxis ?? body.orbit.radius) : 0,
+            orbitSpeed: body.orbit ? body.orbit.speed : 0,
+            rotationSpeed: body.spin,
+            scale: body.scale,
+            totalOrbitAngle: 0,
+            totalRotationAngle: 0,
+            bodyIndex: -1, // Index into the N-body simulation, if there is one
+            orbitPath: null, // Line of the whole orbit, relative to the parent
+            trail: null // Trail of recent world positions
+        };
+
+        // Under gravity orbits are not fixed ellipses, so only the trail can show the path
+        const [red, green, blue] = body.color;
+        if (body.orbitPath && bodyProp.elements && !this.simulation) {
+            bodyProp.orbitPath = new Line(this.gl, { color: [red, green, blue, 0.5], closed: true });
+            bodyProp.orbitPath.setPoints(orbitPathPoints(bodyProp.elements));
+        }
+        if (body.trail) {
+            bodyProp.trail = new Trail(this.gl, { color: [red, green, blue, 0.9] });
+        }
+
+        if (this.simulation) {
+            bodyProp.bodyIndex = this._addToSimulation(body, bodyProp.elements, parentProp);
+        }
+        return bodyProp;
+    }
+
+    /**
+     * Private helper that returns the texture for an image, starting to load it the first time.
+     * @param {string|null} url - The image URL, or null for no texture.
+     * @returns {Texture|null}
+     */
+    _getTexture(url) {
+        if (!url) {
+            return null;
+        }
+        if (!this.textures.has(url)) {
+            this.textures.set(url, new Texture(this.gl, url));
+        }
+        return this.textures.get(url);
+    }
+
+    /**
+     * Private helper that adds a body to the N-body simulation, starting it either on
+     * its orbit or at its explicit position and velocity, both relative to its parent.
+     * @returns {number} The body's index in the simulation.
+     */
+    _addToSimulation(body, elements, parentProp) {
+        const parent = parentProp
+            ? this.simulation.bodies[parentProp.bodyIndex]
+            : { mass: 0, position: [0, 0, 0], velocity: [0, 0, 0] };
+
+        let position = body.position ?? [0, 0, 0];
+        let velocity = body.velocity ?? [0, 0, 0];
+        if (elements) {
+            const mu = this.simulation.gravitationalConstant * (parent.mass + body.mass);
+            ({ position, velocity } = orbitalState(elements, mu));
+        }
+
+        return this.simulation.addBody(
+            body.mass,
+            position.map((p, k) => p + parent.position[k]),
+            velocity.map((v, k) => v + parent.velocity[k])
+        );
+    }
+
+    /**
+     * Finds the body under a point on the canvas, as of the last frame drawn.
+     * Bodies are tested by their bounding spheres, the closest hit wins.
+     * @param {number} x - Pixels from the canvas' left edge (CSS pixels).
+     * @param {number} y - Pixels from the canvas' top edge (CSS pixels).
+     * @returns {object|null} The body's properties, or null if the point shows empty space.
+     */
+    pick(x, y) {
+        const canvas = this.gl.canvas;
+        const ray = screenRay(x, y, canvas.clientWidth, canvas.clientHeight, this.viewMatrix, this.projectionMatrix);
+
+        let closest = null;
+        let closestDistance = Infinity;
+        for (const bodyProp of [this.starProp, ...this.planets]) {
+            const sphere = bodyProp.planet.getWorldBoundingSphere();
+            const distance = intersectSphere(ray, sphere.center, sphere.radius);
+            if (distance !== null && distance < closestDistance) {
+                closest = bodyProp;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Selects a body, highlighting it and firing a "select" event.
+     * @param {object|string|null} body - The body's properties or name, or null to clear the selection.
+     */
+    select(body) {
+        if (typeof body === 'string') {
+            const name = body;
+            body = [this.starProp, ...this.planets].find(bodyProp => bodyProp.name === name);
+            if (!body) {
+                throw new Error(`Cannot select "${name}": there is no body by that name.`);
+            }
+        }
+        if (body === this.selected) {
+            return;
+        }
+
+        if (this.selected) {
+            this.selected.planet.highlighted = false;
+        }
+        this.selected = body;
+        if (body) {
+            body.planet.highlighted = true;
+        }
+        this.dispatchEvent(new CustomEvent('select', { detail: { body } }));
+    }
+
+    /**
+     * Selects whatever body is under a point on the canvas, or clears the selection.
+     * @param {number} x - Pixels from the canvas' left edge (CSS pixels).
+     * @param {number} y - Pixels from the canvas' top edge (CSS pixels).
+     * @returns {object|null} The selected body's properties.
+     */
+    selectAt(x, y) {
+        const body = this.pick(x, y);
+        this.select(body);
+        return body;
+    }
+
+    /**
+     * Describes a body's current state, e.g. for an info panel.
+     * @param {object} bodyProp - The body's properties.
+     * @returns {object} { name, parent, orbitRadius, orbitSpeed, speed, rotationSpeed, angle,
+     *                   distanceFromStar }. Angles are in degrees. orbitSpeed is only known for
+     *                   scripted orbits and speed only under gravity, the other is null.
+     */
+    getBodyInfo(bodyProp) {
+        const position = mat4.getTranslation(vec3.create(), bodyProp.node.worldMatrix);
+        const starPosition = mat4.getTranslation(vec3.create(), this.star.worldMatrix);
+        const parentPosition = bodyProp.parent
+            ? mat4.getTranslation(vec3.create(), bodyProp.parent.node.worldMatrix)
+            : position;
+        const offset = vec3.subtract(vec3.create(), position, parentPosition);
+
+        // Measured in the XZ plane like the orbits: 0 along +X, counter-clockwise seen from above
+        const angle = Math.atan2(-offset[2], offset[0]) * 180 / Math.PI;
+
+        return {
+            name: bodyProp.name,
+            parent: bodyProp.parent ? bodyProp.parent.name : null,
+            orbitRadius: bodyProp.elements ? bodyProp.orbit : vec3.length(offset),
+            orbitSpeed: this.simulation ? null : bodyProp.orbitSpeed,
+            speed: this.simulation ? vec3.length(this.simulation.bodies[bodyProp.bodyIndex].velocity) : null,
+            rotationSpeed: bodyProp.rotationSpeed,
+            angle: (angle + 360) % 360,
+            distanceFromStar: vec3.distance(position, starPosition),
+        };
+    }
+
+    /**
+     * Returns the N-body energy and momentum diagnostics, to check integrator drift.
+     * @returns {object|null} See NBodySimulation.diagnostics(), or null in "kepler" physics.
+     */
+    getDiagnostics() {
+        return this.simulation ? this.simulation.diagnostics() : null;
+    }
+
+    /**
+     * Takes a snapshot of the camera and the simulation, to come back to or share.
+     * @returns {object} A view state, plain JSON (see ViewState.js).
+     */
+    getViewState() {
+        const bodies = {};
+        for (const bodyProp of [this.starProp, ...this.planets]) {
+            const body = {
+                orbitAngle: bodyProp.totalOrbitAngle,
+                rotationAngle: bodyProp.totalRotationAngle,
+            };
+            if (this.simulation) {
+                const simulated = this.simulation.bodies[bodyProp.bodyIndex];
+                body.position = Array.from(simulated.position);
+                body.velocity = Array.from(simulated.velocity);
+            }
+            bodies[bodyProp.name] = body;
+        }
 
-        // --- Create the Star ---
-        // The star is at the origin and stationary 
-        // Color: Yellow
-        this.star = new GameObject(gl, info, this.models.sphere, [1, 1, 0, 1], true); // Emissive = true
-        // We can scale the star to be larger
-        mat4.scale(this.star.modelMatrix, this.star.modelMatrix, vec3.fromValues(2.0, 2.0, 2.0));
-
-        // --- Create Planets (at least 3) ---
-        // We'll use two regular solids as required 
-
-        // Planet 1: Icosphere
-        const planet1 = new GameObject(gl, info, this.models.icosphere, [0.2, 0.8, 0.2, 1]); // Green
-        // Set its initial position (orbit radius of 5 on the x-axis)
-        mat4.translate(planet1.modelMatrix, planet1.modelMatrix, vec3.fromValues(5, 0, 0));
-
-        // Planet 2: Monkey (a "regular solid" for this assignment)
-        const planet2 = new GameObject(gl, info, this.models.monkey, [0.4, 0.4, 1, 1]); // Blue
-        mat4.translate(planet2.modelMatrix, planet2.modelMatrix, vec3.fromValues(8, 0, 0)); // Orbit radius 8
-
-        // Planet 3: Torus (another "regular solid")
-        const planet3 = new GameObject(gl, info, this.models.torus, [0.7, 0.3, 0.7, 1]); // Purple
-        mat4.translate(planet3.modelMatrix, planet3.modelMatrix, vec3.fromValues(11, 0, 0)); // Orbit radius 11
-        // mat4.rotateX(planet3.modelMatrix, planet3.modelMatrix, Math.PI / 2); // Rotate torus to be flat
-
-        this.planets.push(
-            {
-                planet: planet1,
-                orbit: 5,
-                orbitSpeed: 1,
-                rotationSpeed: 3,
-                totalOrbitAngle: 0,
-                totalRotationAngle: 0
+        return {
+            version: VIEW_STATE_VERSION,
+            scene: this.scene.name,
+            camera: {
+                mode: this.cameraMode,
+                yaw: this.cameraYaw,
+                pitch: this.cameraPitch,
+                radius: this.cameraRadius,
+                pan: Array.from(this.cameraPan),
+                followTarget: this.followTarget ? this.followTarget.name : null,
+                flyPosition: Array.from(this.flyPosition),
+                flyYaw: this.flyYaw,
+                flyPitch: this.flyPitch,
+                flySpeed: this.flySpeed,
             },
-            {
-                planet: planet2,
-                orbit: 8,
-                orbitSpeed: 1.5,
-                rotationSpeed: 4,
-                totalOrbitAngle: 0,
-                totalRotationAngle: 0
+            clock: {
+                time: this.clock.time,
+                timeScale: this.clock.timeScale,
+                paused: this.clock.paused,
             },
-            {
-                planet: planet3,
-                orbit: 11,
-                orbitSpeed: 2,
-                rotationSpeed: 5,
-                totalOrbitAngle: 0,
-                totalRotationAngle: 0
+            selected: this.selected ? this.selected.name : null,
+            bodies,
+            simulation: this.simulation
+                ? { time: this.simulation.time, accumulator: this.simulation.accumulator }
+                : undefined,
+        };
+    }
+
+    /**
+     * Goes back to a snapshot from getViewState(), jumping straight there.
+     * Trails start afresh, since the bodies did not travel to get there.
+     * @param {object} state - A view state, e.g. parsed from a saved file or a link.
+     * @throws {Error} If the state is invalid or was taken in another scene. Nothing changes then.
+     */
+    setViewState(state) {
+        const bodyProps = [this.starProp, ...this.planets];
+        const findBody = (name) => bodyProps.find(bodyProp => bodyProp.name === name) ?? null;
+        const { camera, clock, bodies, simulation } = validateViewState(
+            state, bodyProps.map(bodyProp => bodyProp.name), this.simulation !== null);
+
+        // --- 1. The simulation ---
+        this.clock.time = clock.time;
+        this.clock.setTimeScale(clock.timeScale);
+        this.clock.paused = clock.paused;
+        this.clock.pendingSteps = 0;
+        for (const bodyProp of bodyProps) {
+            bodyProp.totalOrbitAngle = bodies[bodyProp.name].orbitAngle;
+            bodyProp.totalRotationAngle = bodies[bodyProp.name].rotationAngle;
+        }
+        if (this.simulation) {
+            const simulated = [];
+            for (const bodyProp of bodyProps) {
+                simulated[bodyProp.bodyIndex] = bodies[bodyProp.name];
             }
-        );
+            this.simulation.setState({ ...simulation, bodies: simulated });
+        }
+        // Place everything without moving time on
+        this._update(0);
+        for (const bodyProp of bodyProps) {
+            if (bodyProp.trail) {
+                bodyProp.trail.clear();
+            }
+        }
+
+        // --- 2. The camera, already where it was going ---
+        this.cameraMode = camera.mode;
+        this.cameraYaw = camera.yaw;
+        this.cameraPitch = camera.pitch;
+        this.cameraRadius = camera.radius;
+        vec3.copy(this.cameraPan, camera.pan);
+        this.followTarget = findBody(camera.followTarget);
+        vec3.copy(this.flyPosition, camera.flyPosition);
+        this.flyYaw = camera.flyYaw;
+        this.flyPitch = camera.flyPitch;
+        this.flySpeed = camera.flySpeed;
+        this.transitionTime = this.transitionDuration;
+        this._updateCameraTarget(0);
+
+        this.select(findBody(state.selected));
+        this.dispatchEvent(new CustomEvent('restore'));
+    }
+
+    /**
+     * Private helper that draws the orbit paths and trails over the bodies.
+     */
+    _drawLines() {
+        const items = [];
+        for (const bodyProp of [this.starProp, ...this.planets]) {
+            if (this.showOrbitPaths && bodyProp.orbitPath) {
+                // The orbit is measured from the parent, so it moves along with it
+                const modelMatrix = bodyProp.parent ? bodyProp.parent.node.worldMatrix : null;
+                items.push({ line: bodyProp.orbitPath, modelMatrix });
+            }
+            if (this.showTrails && bodyProp.trail) {
+                items.push({ line: bodyProp.trail.line });
+            }
+        }
+        if (items.length > 0) {
+            this.lineRenderer.draw(items, this.viewMatrix, this.projectionMatrix);
+        }
+    }
+
+    /**
+     * Creates the GameObjects that draw the world X/Y/Z axes.
+     */
+    _setupAxes() {
+        const gl = this.gl;
+        const info = this.programInfo;
 
         const axisLength = 5.0;  // How long the axis lines are
         const axisRadius = 0.05; // How thick the lines are
@@ -117,55 +700,67 @@ export class StarSystem {
 
         // --- Y-Axis (Green) ---
         const yAxisCyl = new GameObject(gl, info, this.models.cylinder, [0, 1, 0, 1]);
-        mat4.scale(yAxisCyl.modelMatrix, yAxisCyl.modelMatrix, [axisRadius, axisLength, axisRadius]);
+        mat4.scale(yAxisCyl.localMatrix, yAxisCyl.localMatrix, [axisRadius, axisLength, axisRadius]);
 
         const yAxisCone = new GameObject(gl, info, this.models.cone, [0, 1, 0, 1]);
-        mat4.scale(yAxisCone.modelMatrix, yAxisCone.modelMatrix, [coneRadius, coneHeight, coneRadius]);
-        mat4.translate(yAxisCone.modelMatrix, yAxisCone.modelMatrix, [0, axisLength, 0]); // Move to end of cylinder
+        mat4.scale(yAxisCone.localMatrix, yAxisCone.localMatrix, [coneRadius, coneHeight, coneRadius]);
+        mat4.translate(yAxisCone.localMatrix, yAxisCone.localMatrix, [0, axisLength, 0]); // Move to end of cylinder
 
         // --- X-Axis (Red) ---
         const xAxisCyl = new GameObject(gl, info, this.models.cylinder, [1, 0, 0, 1]);
-        mat4.scale(xAxisCyl.modelMatrix, xAxisCyl.modelMatrix, [axisRadius, axisLength, axisRadius]);
-        mat4.rotateZ(xAxisCyl.modelMatrix, xAxisCyl.modelMatrix, -Math.PI / 2); // Rotate Y-axis to +X axis
+        mat4.scale(xAxisCyl.localMatrix, xAxisCyl.localMatrix, [axisRadius, axisLength, axisRadius]);
+        mat4.rotateZ(xAxisCyl.localMatrix, xAxisCyl.localMatrix, -Math.PI / 2); // Rotate Y-axis to +X axis
 
         const xAxisCone = new GameObject(gl, info, this.models.cone, [1, 0, 0, 1]);
-        mat4.scale(xAxisCone.modelMatrix, xAxisCone.modelMatrix, [coneRadius, coneHeight, coneRadius]);
-        mat4.rotateZ(xAxisCone.modelMatrix, xAxisCone.modelMatrix, -Math.PI / 2);
-        mat4.translate(xAxisCone.modelMatrix, xAxisCone.modelMatrix, [axisLength, 0, 0]);
+        mat4.scale(xAxisCone.localMatrix, xAxisCone.localMatrix, [coneRadius, coneHeight, coneRadius]);
+        mat4.rotateZ(xAxisCone.localMatrix, xAxisCone.localMatrix, -Math.PI / 2);
+        mat4.translate(xAxisCone.localMatrix, xAxisCone.localMatrix, [axisLength, 0, 0]);
 
         // --- Z-Axis (Blue) ---
         const zAxisCyl = new GameObject(gl, info, this.models.cylinder, [0, 0, 1, 1]);
-        mat4.scale(zAxisCyl.modelMatrix, zAxisCyl.modelMatrix, [axisRadius, axisLength, axisRadius]);
-        mat4.rotateX(zAxisCyl.modelMatrix, zAxisCyl.modelMatrix, Math.PI / 2); // Rotate Y-axis to +Z axis
+        mat4.scale(zAxisCyl.localMatrix, zAxisCyl.localMatrix, [axisRadius, axisLength, axisRadius]);
+        mat4.rotateX(zAxisCyl.localMatrix, zAxisCyl.localMatrix, Math.PI / 2); // Rotate Y-axis to +Z axis
 
         const zAxisCone = new GameObject(gl, info, this.models.cone, [0, 0, 1, 1]);
-        mat4.scale(zAxisCone.modelMatrix, zAxisCone.modelMatrix, [coneRadius, coneHeight, coneRadius]);
-        mat4.rotateX(zAxisCone.modelMatrix, zAxisCone.modelMatrix, Math.PI / 2);
-        mat4.translate(zAxisCone.modelMatrix, zAxisCone.modelMatrix, [0, 0, axisLength]);
+        mat4.scale(zAxisCone.localMatrix, zAxisCone.localMatrix, [coneRadius, coneHeight, coneRadius]);
+        mat4.rotateX(zAxisCone.localMatrix, zAxisCone.localMatrix, Math.PI / 2);
+        mat4.translate(zAxisCone.localMatrix, zAxisCone.localMatrix, [0, 0, axisLength]);
 
         this.axes.push(
             yAxisCyl, yAxisCone,
             xAxisCyl, xAxisCone,
             zAxisCyl, zAxisCone
         );
+
+        // The axes never move, so their world matrices only need computing once
+        for (const axisPart of this.axes) {
+            this.axesRoot.addChild(axisPart);
+        }
+        this.axesRoot.updateWorldMatrix();
     }
 
     /**
-     * Handles mouse movement for camera control.
-     * @param {number} deltaX - Change in mouse X position.
-     * @param {number} deltaY - Change in mouse Y position.
+     * Turns the camera: around its target in the orbiting modes, on the spot in FREE mode.
+     * @param {number} yaw - Radians to add to the side-to-side angle.
+     * @param {number} pitch - Radians to add to the up-and-down angle.
      */
-    handleMouseMovement(deltaX, deltaY) {
-        // This method is only active in 3D mode
-        if (this.cameraMode !== '3D') {
+    orbitCamera(yaw, pitch) {
+        // Free-fly looks around, and may look straight up or down
+        if (this.cameraMode === 'FREE') {
+            const limit = Math.PI / 2 - 0.01;
+            this.flyYaw += yaw;
+            this.flyPitch = Math.max(-limit, Math.min(limit, this.flyPitch + pitch));
             return;
         }
 
-        const sensitivity = 0.01; // Adjust this to change mouse speed
+        // Otherwise this method is only active in the orbiting modes
+        if (this.cameraMode !== '3D' && this.cameraMode !== 'FOLLOW') {
+            return;
+        }
 
         // Update the yaw and pitch
-        this.cameraYaw -= deltaX * sensitivity;
-        this.cameraPitch -= deltaY * sensitivity;
+        this.cameraYaw += yaw;
+        this.cameraPitch += pitch;
 
         // --- Clamp the pitch ---
         const minPitch = 0.1;
@@ -174,30 +769,130 @@ export class StarSystem {
     }
 
     /**
-     * Handles mouse scroll for camera zoom.
-     * @param {WheelEvent} event - The mouse wheel event.
+     * Moves the orbiting camera in or out. In FREE mode there is nothing to zoom,
+     * so this changes the flying speed instead.
+     * @param {number} amount - World units to add to the camera's distance (positive zooms out).
      */
-    handleMouseScroll(event) {
-        // This method is only active in 3D mode
-        if (this.cameraMode !== '3D') {
+    zoomCamera(amount) {
+        if (this.cameraMode === 'FREE') {
+            this.flySpeed = Math.max(0.1, Math.min(200, this.flySpeed * Math.exp(-amount * 0.02)));
             return;
         }
 
-        // event.deltaY is positive when scrolling down (zoom out)
-        // and negative when scrolling up (zoom in)
-        const delta = event.deltaY * this.zoomSensitivity;
+        // This method is only active in the orbiting modes
+        if (this.cameraMode !== '3D' && this.cameraMode !== 'FOLLOW') {
+            return;
+        }
 
-        // Add the delta to the camera radius
-        this.cameraRadius += delta;
+        // Add the amount to the camera radius
+        this.cameraRadius += amount;
 
         // --- Clamp the radius ---
         // Ensure the new radius is within our min/max bounds
         this.cameraRadius = Math.max(
-            this.minCameraRadius,
+            this._minCameraRadius(),
             Math.min(this.maxCameraRadius, this.cameraRadius)
         );
     }
 
+    /**
+     * Slides the camera sideways without turning it. In the orbiting modes the slide
+     * is undone when the mode or the followed body changes.
+     * @param {number} x - How far to move right, in view heights at the target's distance.
+     * @param {number} y - How far to move up, in the same units.
+     */
+    panCamera(x, y) {
+        // The view matrix's first two rows are the camera's right and up axes in world space
+        const v = this.viewMatrix;
+        const right = vec3.fromValues(v[0], v[4], v[8]);
+        const up = vec3.fromValues(v[1], v[5], v[9]);
+
+        let offset;
+        if (this.cameraMode === 'FREE') {
+            offset = this.flyPosition;
+        } else if (this.cameraMode === '3D' || this.cameraMode === 'FOLLOW') {
+            offset = this.cameraPan;
+        } else {
+            return;
+        }
+        const scale = this.cameraMode === 'FREE' ? this.flySpeed : this.cameraRadius;
+        vec3.scaleAndAdd(offset, offset, right, x * scale);
+        vec3.scaleAndAdd(offset, offset, up, y * scale);
+    }
+
+    /**
+     * Flies the FREE camera relative to where it faces. Does nothing in the other modes.
+     * Inputs are clamped to a total length of 1, so diagonals are no faster than
+     * straight lines and analog sticks can fly slower than full speed.
+     * @param {number} right - -1 to 1, strafing left to right.
+     * @param {number} up - -1 to 1, sinking to rising (along world up).
+     * @param {number} forward - -1 to 1, backing off to moving ahead.
+     * @param {number} deltaTime - Real seconds the input was held for.
+     * @param {boolean} [boosted=false] - Whether to fly flyBoost times faster.
+     */
+    flyCamera(right, up, forward, deltaTime, boosted = false) {
+        if (this.cameraMode !== 'FREE') {
+            return;
+        }
+
+        // --- 1. Sum the directions, relative to where the camera faces ---
+        const forwardAxis = this._flyForward();
+        const rightAxis = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), forwardAxis, [0, 1, 0]));
+        const move = vec3.create();
+        vec3.scaleAndAdd(move, move, forwardAxis, forward);
+        vec3.scaleAndAdd(move, move, rightAxis, right);
+        vec3.scaleAndAdd(move, move, [0, 1, 0], up);
+        const length = vec3.length(move);
+        if (length === 0) {
+            return;
+        }
+
+        // --- 2. Same speed in every direction and at every frame rate ---
+        vec3.scale(move, move, 1 / Math.max(1, length));
+        const distance = this.flySpeed * (boosted ? this.flyBoost : 1) * deltaTime;
+        vec3.scaleAndAdd(this.flyPosition, this.flyPosition, move, distance);
+    }
+
+    /**
+     * Matches the drawing buffer, viewport and offscreen targets to the canvas' displayed size.
+     * The projection follows on the next frame.
+     * @param {number} cssWidth - The canvas' displayed width, in CSS pixels.
+     * @param {number} cssHeight - The canvas' displayed height, in CSS pixels.
+     * @param {number} [pixelRatio=window.devicePixelRatio] - Device pixels per CSS pixel.
+     *                                                      Capped at maxPixelRatio.
+     * @returns {boolean} Whether the drawing buffer changed size.
+     */
+    resize(cssWidth, cssHeight, pixelRatio = window.devicePixelRatio || 1) {
+        const ratio = Math.min(pixelRatio, this.maxPixelRatio);
+        const width = Math.max(1, Math.round(cssWidth * ratio));
+        const height = Math.max(1, Math.round(cssHeight * ratio));
+        if (this.capturing) {
+            // Applied when the capture is over
+            this.liveBufferSize = [width, height];
+            return false;
+        }
+        return this._setBufferSize(width, height);
+    }
+
+    /**
+     * Private helper that resizes the drawing buffer and everything drawn at its size.
+     * @returns {boolean} Whether the size changed.
+     */
+    _setBufferSize(width, height) {
+        const gl = this.gl;
+        if (width === gl.canvas.width && height === gl.canvas.height) {
+            return false;
+        }
+
+        gl.canvas.width = width;
+        gl.canvas.height = height;
+        gl.viewport(0, 0, width, height);
+        if (this.postProcessor.enabled) {
+            this.postProcessor.resize(width, height);
+        }
+        return true;
+    }
+
     /**
      * Starts the continuous render loop.
      */
@@ -215,46 +910,286 @@ export class StarSystem {
      * @param {number} time - The current time in milliseconds.
      */
     render(time) {
-        const gl = this.gl;
         time *= 0.001; // Convert time to seconds
-        const deltaTime = time - this.lastTime;
+        const realDelta = this.clock.clampDelta(time - this.lastTime);
         this.lastTime = time;
+        if (this.capturing) {
+            // A recording moves time on by itself, see record()
+            return;
+        }
 
         // 1. Update logic (animation)
-        this._update(deltaTime);
+        this._advance(realDelta);
 
         // 2. Draw scene
         // console.log("Drawing frame");
         this._draw();
     }
 
+    /**
+     * Private helper that moves everything on by one frame.
+     * @param {number} realDelta - Real seconds the frame stands for.
+     */
+    _advance(realDelta) {
+        // The bodies move on the simulation clock
+        this._update(this.clock.tick(realDelta));
+        // Camera glides run on real time, so they still finish while paused
+        this._updateCameraTarget(realDelta);
+    }
+
+    /**
+     * Takes a picture of the scene as it is now, without moving time on.
+     * The view widens or narrows to the picture's shape; LODs and the background's stars
+     * follow its resolution, so a large picture is as sharp as a large screen would be.
+     * @param {object} [options]
+     * @param {number} [options.width] - In pixels, the drawing buffer's width by default.
+     * @param {number} [options.height] - In pixels, the drawing buffer's height by default.
+     * @returns {Promise<Blob>} A PNG image.
+     */
+    async captureFrame({ width = this.gl.canvas.width, height = this.gl.canvas.height } = {}) {
+        const finish = this._beginCapture(width, height);
+        try {
+            this._draw();
+            return await this._canvasToPNG();
+        } finally {
+            finish();
+        }
+    }
+
+    /**
+     * Records an animation frame by frame, each one a fixed step of time after the last,
+     * however long it takes to draw: the result is the same on any computer.
+     *
+     * Frames stand for 1/frameRate real seconds each, so the clock's time scale, pause
+     * and direction apply as they do live. The live view stops while recording.
+     *
+     * @param {object} [options]
+     * @param {number} [options.frames=Infinity] - How many frames to record. Without a limit,
+     *                                             recording goes on until stopRecording().
+     * @param {number} [options.frameRate=30] - Frames per second of the recording.
+     * @param {number} [options.width] - In pixels, the drawing buffer's width by default.
+     * @param {number} [options.height] - In pixels, the drawing buffer's height by default.
+     * @param {string} [options.format='png'] - 'png' for a numbered image sequence, or 'webm' for a video.
+     *                                          A video is recorded in real time, so the browser
+     *                                          has to keep up with drawing at the frame rate.
+     * @param {number} [options.bitsPerSecond] - Video quality, left to the browser by default.
+     * @param {function} [options.onFrame] - Called with (blob, index) after each frame; the blob
+     *                                       is the frame's PNG, or null for a video. Required for
+     *                                       PNGs, which only reach the caller this way, so a long
+     *                                       sequence never has to fit in memory.
+     * @returns {Promise<Blob|undefined>} The video, for 'webm'.
+     */
+    async record({
+        frames = Infinity,
+        frameRate = 30,
+        width = this.gl.canvas.width,
+        height = this.gl.canvas.height,
+        format = 'png',
+        bitsPerSecond,
+        onFrame,
+    } = {}) {
+        if (!(frames > 0) || !(frameRate > 0) || !Number.isFinite(frameRate)) {
+            throw new Error(`Cannot record ${frames} frames at ${frameRate} frames per second.`);
+        }
+        if (format !== 'png' && format !== 'webm') {
+            throw new Error(`Unknown recording format "${format}", expected "png" or "webm".`);
+        }
+        if (format === 'png' && typeof onFrame !== 'function') {
+            throw new Error('Recording PNGs needs an onFrame callback to hand them to.');
+        }
+
+        const deltaTime = 1 / frameRate;
+        const finish = this._beginCapture(width, height);
+        this.stopRequested = false;
+        try {
+            if (format === 'webm') {
+                return await this._recordVideo(frames, frameRate, bitsPerSecond, onFrame);
+            }
+            for (let i = 0; i < frames && !this.stopRequested; i++) {
+                // The first frame is the scene as it is now
+                if (i > 0) {
+                    this._advance(deltaTime);
+                }
+                this._draw();
+                onFrame(await this._canvasToPNG(), i);
+            }
+        } finally {
+            finish();
+        }
+    }
+
+    /**
+     * Ends a recording after the frame being drawn. Does nothing if none is running.
+     */
+    stopRecording() {
+        this.stopRequested = true;
+    }
+
+    /**
+     * Private helper that records a WebM video for record().
+     *
+     * The browser timestamps video frames as it receives them, so frames are handed over
+     * one at a time, each after waiting out the frame's duration.
+     */
+    async _recordVideo(frames, frameRate, bitsPerSecond, onFrame) {
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type));
+        if (!mimeType || !this.gl.canvas.captureStream) {
+            throw new Error('This browser cannot record WebM video from a canvas.');
+        }
+
+        // --- 1. Capture only the frames asked for ---
+        const stream = this.gl.canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitsPerSecond });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', (event) => chunks.push(event.data));
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+        recorder.start();
+
+        // --- 2. Draw each frame, hand it over, and hold it for its duration ---
+        const deltaTime = 1 / frameRate;
+        try {
+            for (let i = 0; i < frames && !this.stopRequested; i++) {
+                if (i > 0) {
+                    this._advance(deltaTime);
+                }
+                this._draw();
+                track.requestFrame();
+                if (onFrame) {
+                    onFrame(null, i);
+                }
+                await new Promise(resolve => setTimeout(resolve, deltaTime * 1000));
+            }
+        } finally {
+            // --- 3. Collect the video ---
+            recorder.stop();
+            await stopped;
+            track.stop();
+        }
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * Private helper that takes over the canvas for a capture.
+     * @param {number} width - The drawing buffer's size while capturing, in pixels.
+     * @param {number} height
+     * @returns {function} Gives the canvas back, at its live size.
+     */
+    _beginCapture(width, height) {
+        if (this.capturing) {
+            throw new Error('A screenshot or recording is already in progress.');
+        }
+        const gl = this.gl;
+        const maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+        for (const size of [width, height]) {
+            if (!Number.isInteger(size) || size < 1 || size > maxSize) {
+                throw new Error(`Capture size ${width}x${height} must be whole pixels, from 1 to ${maxSize}.`);
+            }
+        }
+
+        this.capturing = true;
+        this.liveBufferSize = [gl.canvas.width, gl.canvas.height];
+        this._setBufferSize(width, height);
+        return () => {
+            this._setBufferSize(...this.liveBufferSize);
+            this.capturing = false;
+        };
+    }
+
+    /**
+     * Private helper that encodes what was just drawn.
+     * Must be called before the browser shows the frame, which clears the drawing buffer.
+     * @returns {Promise<Blob>} A PNG image.
+     */
+    _canvasToPNG() {
+        return new Promise((resolve, reject) => {
+            this.gl.canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The canvas could not be saved as a PNG.'));
+                }
+            }, 'image/png');
+        });
+    }
+
     /**
      * Updates animations and object states.
-     * @param {number} deltaTime - Time since the last frame.
+     * @param {number} deltaTime - Simulated time since the last frame. Negative runs backwards.
      */
     _update(deltaTime) {
-        // We'll add planet revolution logic here later.
-        // For now, let's just make the star spin
-        mat4.rotateY(this.star.modelMatrix, this.star.modelMatrix, deltaTime * 0.2);
+        // --- 1. Update Total Angles ---.
+        // totalOrbitAngle is the mean anomaly: it grows evenly with time
+        for (const bodyProp of [this.starProp, ...this.planets]) {
+            bodyProp.totalOrbitAngle += bodyProp.orbitSpeed * deltaTime * 0.5;
+            bodyProp.totalRotationAngle += bodyProp.rotationSpeed * deltaTime;
+        }
 
-        for (const planetProp of this.planets) {
-            // --- 1. Update Total Angles ---.
-            planetProp.totalOrbitAngle += planetProp.orbitSpeed * deltaTime * 0.5;
-            planetProp.totalRotationAngle += planetProp.rotationSpeed * deltaTime;
+        if (this.simulation) {
+            // --- 2a. Let gravity move everything, the star included ---
+            this.simulation.advance(deltaTime);
+            for (const bodyProp of [this.starProp, ...this.planets]) {
+                const position = this.simulation.bodies[bodyProp.bodyIndex].position;
+                this._placeBody(bodyProp, position, 0);
+            }
+        } else {
+            // --- 2b. The star only spins in place ---
+            this._placeBody(this.starProp, [0, 0, 0], 0);
 
-            // Get the planet's matrix
-            const M = planetProp.planet.modelMatrix;
+            for (const planetProp of this.planets) {
+                // Solve Kepler's equation for the position relative to the parent
+                const elements = planetProp.elements;
+                const { position, trueAnomaly } = orbitalPosition(elements, planetProp.totalOrbitAngle);
 
-            // --- 2. Reset the Matrix ---
-            mat4.identity(M);
+                // Turning by the true longitude keeps the same face towards the direction of
+                // travel, exactly like the old rotateY + translate for circular orbits.
+                const heading = elements.longitudeOfAscendingNode + elements.argumentOfPeriapsis + trueAnomaly;
+                this._placeBody(planetProp, position, heading);
+            }
+        }
 
-            // --- 3. Apply Absolute Revolution (Orbit) ---
-            mat4.rotateY(M, M, planetProp.totalOrbitAngle);
-            mat4.translate(M, M, [planetProp.orbit, 0, 0]);
+        // --- 3. Propagate the transforms down the hierarchy ---
+        this.root.updateWorldMatrix();
 
-            // --- 4. Apply Local Rotation (Spin) ---
-            mat4.rotateY(M, M, planetProp.totalRotationAngle);
+        // --- 3b. Carry the belts along with their bodies (only the node, not its spin) ---
+        for (const beltProp of this.belts) {
+            const M = beltProp.belt.modelMatrix;
+            mat4.rotateX(M, beltProp.parent.node.worldMatrix, beltProp.tilt);
         }
+
+        // --- 4. Extend the trails to where the bodies are now ---
+        // A trail would double back over itself when time reverses, so start it afresh
+        const direction = Math.sign(deltaTime);
+        const reversed = direction !== 0 && direction !== this.timeDirection;
+        if (direction !== 0) {
+            this.timeDirection = direction;
+        }
+        for (const bodyProp of [this.starProp, ...this.planets]) {
+            if (bodyProp.trail) {
+                if (reversed) {
+                    bodyProp.trail.clear();
+                }
+                bodyProp.trail.update(deltaTime, mat4.getTranslation(vec3.create(), bodyProp.node.worldMatrix));
+            }
+        }
+    }
+
+    /**
+     * Private helper that rebuilds a body's local matrices.
+     * @param {object} bodyProp - The body's properties.
+     * @param {number[]} position - Where the body is, relative to its parent node.
+     * @param {number} heading - Extra rotation about Y from its orbit, in radians.
+     */
+    _placeBody(bodyProp, position, heading) {
+        // --- 1. Apply Absolute Revolution (Orbit) ---
+        // Only the translation goes on the node, which the moons inherit
+        mat4.fromTranslation(bodyProp.node.localMatrix, position);
+
+        // --- 2. Apply Local Rotation (Spin) ---
+        const M = bodyProp.planet.localMatrix;
+        mat4.fromYRotation(M, heading + bodyProp.totalRotationAngle);
+        mat4.scale(M, M, bodyProp.scale);
     }
 
     /**
@@ -264,6 +1199,22 @@ export class StarSystem {
         const gl = this.gl;
         const info = this.programInfo;
 
+        // The star is the light, and under gravity it moves
+        const lightPosition = mat4.getTranslation(vec3.create(), this.star.worldMatrix);
+
+        // --- Render the shadow map first, it needs the whole canvas pipeline to itself ---
+        if (this.shadowsEnabled) {
+            this.shadowMap.render(this.root, lightPosition);
+        }
+
+        // --- Draw into the post-processing input, or straight to the canvas ---
+        if (this.postProcessor.enabled) {
+            this.postProcessor.begin();
+        } else {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        }
+
         // --- Clear the canvas ---
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
@@ -271,14 +1222,16 @@ export class StarSystem {
 
         // 1. Projection Matrix (Field of View)
         const fieldOfView = 45 * Math.PI / 180; // 45 degrees FOV
-        const aspect = gl.canvas.clientWidth / gl.canvas.clientHeight;
+        // The drawing buffer's own shape, which resize() keeps in step with the displayed size
+        const aspect = gl.canvas.width / gl.canvas.height;
         const zNear = 0.1;
         const zFar = 1000.0;
         mat4.perspective(this.projectionMatrix, fieldOfView, aspect, zNear, zFar);
 
         // 2. View Matrix (Camera Position) - "3D View"
-        if (this.cameraMode === '3D') {
-            // --- "3D View" ---
+        let cameraPosition;
+        if (this.cameraMode === '3D' || this.cameraMode === 'FOLLOW') {
+            // --- "3D View" (or "Follow", the same around a body) ---
             // Calculate camera position using spherical coordinates (yaw, pitch, radius)
 
             // X position = r * sin(pitch) * sin(yaw)
@@ -288,23 +1241,40 @@ export class StarSystem {
             // Z position = r * sin(pitch) * cos(yaw)
             const z = this.cameraRadius * Math.sin(this.cameraPitch) * Math.cos(this.cameraYaw);
 
-            const cameraPosition = vec3.fromValues(x, y, z);
-            const lookAtTarget = vec3.fromValues(0, 0, 0); // Always look at the origin
+            // Measured from the target: the origin, or the followed body
+            const lookAtTarget = this.cameraTarget;
+            cameraPosition = vec3.add(vec3.create(), lookAtTarget, [x, y, z]);
             const cameraUp = vec3.fromValues(0, 1, 0); // Y-axis is always "up"
             mat4.lookAt(this.viewMatrix, cameraPosition, lookAtTarget, cameraUp);
+        } else if (this.cameraMode === 'FREE') {
+            // --- "Free Fly" ---
+            // Wherever the keys have taken us, facing along yaw and pitch
+            cameraPosition = vec3.clone(this.flyPosition);
+            const lookAtTarget = vec3.add(vec3.create(), cameraPosition, this._flyForward());
+            const cameraUp = vec3.fromValues(0, 1, 0);
+            mat4.lookAt(this.viewMatrix, cameraPosition, lookAtTarget, cameraUp);
         } else {
             // --- "Top View" ---
             // Looking straight down the Y-axis from a distance
-            const cameraPosition = vec3.fromValues(0, 25, 0);
+            cameraPosition = vec3.fromValues(0, 25, 0);
             const lookAtTarget = vec3.fromValues(0, 0, 0);
             const cameraUp = vec3.fromValues(0, 0, -1);      // Makes the +Z axis point "down" the screen
             mat4.lookAt(this.viewMatrix, cameraPosition, lookAtTarget, cameraUp);
         }
+        vec3.copy(this.cameraPosition, cameraPosition);
+
+        // --- Draw the background first, the bodies cover it ---
+        if (this.showBackground) {
+            this.background.draw(this.viewMatrix, this.projectionMatrix);
+        }
 
         // --- Tell WebGL to use our shader program ---
         gl.useProgram(info.program);
 
         // --- Set Global Uniforms (same for all objects) ---
+        gl.uniform3fv(info.uniformLocations.lightPosition, lightPosition);
+        // Specular highlights depend on where they are seen from
+        gl.uniform3fv(info.uniformLocations.cameraPosition, cameraPosition);
         gl.uniformMatrix4fv(
             info.uniformLocations.projectionMatrix,
             false,
@@ -315,16 +1285,57 @@ export class StarSystem {
             false,
             this.viewMatrix
         );
+        if (this.shadowsEnabled) {
+            this.shadowMap.apply(info.uniformLocations, 2);
+        } else {
+            gl.uniform1i(info.uniformLocations.useShadows, 0);
+        }
+
+        // --- Skip what is out of view, and simplify what is small ---
+        const stats = { drawn: 0, culled: 0, reducedDetail: 0 };
+        const view = {
+            planes: frustumPlanes(mat4.multiply(mat4.create(), this.projectionMatrix, this.viewMatrix)),
+            cameraPosition,
+            // Drawing buffer pixels spanned by one world unit at distance 1
+            pixelsPerUnit: this.projectionMatrix[5] * gl.canvas.height / 2,
+            stats,
+        };
 
         // --- Draw all objects ---
-        this.star.draw();
+        // Drawing the root walks the whole hierarchy: the star, planets and their moons
+        this.root.draw(view);
 
-        for (const planetProp of this.planets) {
-            planetProp.planet.draw();
+        if (this.showAxes) {
+            this.axesRoot.draw();
         }
 
-        // for (const axisPart of this.axes) {
-        //     axisPart.draw();
-        // }
+        // --- Belts and rings, with their own program, lit the same way ---
+        if (this.showBelts) {
+            const frame = {
+                viewMatrix: this.viewMatrix,
+                projectionMatrix: this.projectionMatrix,
+                lightPosition,
+                cameraPosition,
+                shadowMap: this.shadowsEnabled ? this.shadowMap : null,
+            };
+            for (const beltProp of this.belts) {
+                const belt = beltProp.belt;
+                const center = mat4.getTranslation(vec3.create(), belt.modelMatrix);
+                if (sphereInFrustum(view.planes, center, belt.boundingSphere.radius)) {
+                    belt.draw(this.clock.time, frame);
+                    stats.drawn++;
+                } else {
+                    stats.culled++;
+                }
+            }
+        }
+        this.renderStats = stats;
+
+        this._drawLines();
+
+        // --- Finish the image (bloom, tone mapping, ...) onto the canvas ---
+        if (this.postProcessor.enabled) {
+            this.postProcessor.end();
+        }
     }
 }
\ No newline at end of file
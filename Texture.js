@@ -0,0 +1,68 @@
+// Texture.js
+
+/**
+ * An image texture that loads in the background.
+ * Until the image arrives (or if it fails to), isLoaded stays false and objects
+ * using it are drawn with their solid color instead.
+ */
+export class Texture {
+    /**
+     * Starts loading an image into a new WebGL texture.
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {string} url - The image to load.
+     */
+    constructor(gl, url) {
+        this.gl = gl;
+        this.url = url;
+        this.texture = gl.createTexture();
+        this.isLoaded = false;
+
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => this._upload(image);
+        image.onerror = () => console.error(`Failed to load texture ${url}, using the solid color instead.`);
+        image.src = url;
+    }
+
+    /**
+     * Private helper that copies the loaded image into the texture and sets up filtering.
+     */
+    _upload(image) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+
+        // Image rows run top to bottom, but UV (0, 0) is the bottom-left corner
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+        // WebGL 1 can only mipmap and repeat power-of-two images
+        if (isPowerOfTwo(image.width) && isPowerOfTwo(image.height)) {
+            gl.generateMipmap(gl.TEXTURE_2D);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        } else {
+            console.warn(`Texture ${this.url} is not a power of two in size, so it will not be mipmapped.`);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        }
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        this.isLoaded = true;
+    }
+
+    /**
+     * Binds the texture to a texture unit.
+     * @param {number} unit - The texture unit index (0, 1, ...).
+     */
+    bind(unit) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    }
+}
+
+function isPowerOfTwo(value) {
+    return (value & (value - 1)) === 0;
+}
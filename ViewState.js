@@ -0,0 +1,194 @@
+// ViewState.js
+
+/**
+ * A view state is a snapshot of everything needed to show the same moment from the same
+ * angle: the camera, the simulation clock and where every body is along its orbit.
+ * StarSystem.getViewState() takes one and setViewState() puts it back.
+ *
+ * As JSON:
+ *
+ * {
+ *   "version": 1,
+ *   "scene": "Solar System",            // The scene's name, for error messages
+ *   "camera": {
+ *     "mode": "FOLLOW",                 // "3D", "TOP", "FOLLOW" or "FREE"
+ *     "yaw": 0.4, "pitch": 1.1, "radius": 12,
+ *     "pan": [0, 0, 0],                 // Offset of the point orbited
+ *     "followTarget": "Earth",          // Body name or null
+ *     "flyPosition": [0, 5, 20], "flyYaw": 0, "flyPitch": -0.2, "flySpeed": 5
+ *   },
+ *   "clock": { "time": 42.5, "timeScale": 1, "paused": false },
+ *   "selected": "Earth",                // Body name or null
+ *   "bodies": {
+ *     "Earth": { "orbitAngle": 3.1, "rotationAngle": 12.7 }
+ *   },
+ *   "simulation": { "time": 42.5, "accumulator": 0.001 }   // Only under "nbody" physics
+ * }
+ *
+ * Under "nbody" physics every body also has its "position" and "velocity", since those,
+ * not the angles, say where it is.
+ */
+
+export const VIEW_STATE_VERSION = 1;
+
+const CAMERA_MODES = ['3D', 'TOP', 'FOLLOW', 'FREE'];
+
+/**
+ * Checks a parsed view state against the scene it is for.
+ * Every problem found is collected, so a bad file reports all its mistakes at once.
+ *
+ * @param {object} state - The parsed view state.
+ * @param {string[]} bodyNames - The scene's body names; the state must have exactly these.
+ * @param {boolean} nbody - Whether the scene runs on gravity, which needs positions and velocities.
+ * @returns {object} The state, checked.
+ * @throws {Error} If the state is invalid or for another scene. The message lists every problem.
+ */
+export function validateViewState(state, bodyNames, nbody) {
+    const errors = [];
+
+    if (!isPlainObject(state)) {
+        throw new Error('Invalid view state: it must be a JSON object.');
+    }
+    if (state.version !== VIEW_STATE_VERSION) {
+        throw new Error(`Invalid view state: version ${state.version} is not supported, expected ${VIEW_STATE_VERSION}.`);
+    }
+
+    // --- 1. Camera ---
+    const camera = state.camera;
+    if (!isPlainObject(camera)) {
+        errors.push('camera: must be an object.');
+    } else {
+        if (!CAMERA_MODES.includes(camera.mode)) {
+            errors.push(`camera.mode: must be one of ${CAMERA_MODES.map(mode => `"${mode}"`).join(', ')}.`);
+        }
+        for (const key of ['yaw', 'pitch', 'radius', 'flyYaw', 'flyPitch', 'flySpeed']) {
+            if (!isFiniteNumber(camera[key])) {
+                errors.push(`camera.${key}: must be a number.`);
+            }
+        }
+        for (const key of ['pan', 'flyPosition']) {
+            if (!isNumberArray(camera[key], 3)) {
+                errors.push(`camera.${key}: must be an array of 3 numbers.`);
+            }
+        }
+        if (camera.followTarget !== null && !bodyNames.includes(camera.followTarget)) {
+            errors.push(`camera.followTarget: no body is named "${camera.followTarget}".`);
+        }
+        if (camera.mode === 'FOLLOW' && camera.followTarget === null) {
+            errors.push('camera.followTarget: "FOLLOW" mode needs a body to follow.');
+        }
+    }
+
+    // --- 2. Clock ---
+    const clock = state.clock;
+    if (!isPlainObject(clock)) {
+        errors.push('clock: must be an object.');
+    } else {
+        for (const key of ['time', 'timeScale']) {
+            if (!isFiniteNumber(clock[key])) {
+                errors.push(`clock.${key}: must be a number.`);
+            }
+        }
+        if (typeof clock.paused !== 'boolean') {
+            errors.push('clock.paused: must be true or false.');
+        }
+    }
+
+    if (state.selected !== null && !bodyNames.includes(state.selected)) {
+        errors.push(`selected: no body is named "${state.selected}".`);
+    }
+
+    // --- 3. Bodies, which must be the scene's own ---
+    if (!isPlainObject(state.bodies)) {
+        errors.push('bodies: must be an object mapping body names to their state.');
+    } else {
+        for (const name of bodyNames) {
+            if (!(name in state.bodies)) {
+                errors.push(`bodies: "${name}" is missing. Was this saved from another scene than "${state.scene}"?`);
+            }
+        }
+        for (const [name, body] of Object.entries(state.bodies)) {
+            if (!bodyNames.includes(name)) {
+                errors.push(`bodies: this scene has no body named "${name}".`);
+            } else if (!isPlainObject(body)) {
+                errors.push(`bodies.${name}: must be an object.`);
+            } else {
+                for (const key of ['orbitAngle', 'rotationAngle']) {
+                    if (!isFiniteNumber(body[key])) {
+                        errors.push(`bodies.${name}.${key}: must be a number.`);
+                    }
+                }
+                for (const key of nbody ? ['position', 'velocity'] : []) {
+                    if (!isNumberArray(body[key], 3)) {
+                        errors.push(`bodies.${name}.${key}: must be an array of 3 numbers.`);
+                    }
+                }
+            }
+        }
+    }
+
+    if (nbody && !(isPlainObject(state.simulation)
+        && isFiniteNumber(state.simulation.time) && isFiniteNumber(state.simulation.accumulator))) {
+        errors.push('simulation: must be { time, accumulator } under "nbody" physics.');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid view state:\n  - ${errors.join('\n  - ')}`);
+    }
+    return state;
+}
+
+/**
+ * Packs a view state into a short string that is safe in a URL hash:
+ * its JSON, compressed, in URL-safe base64.
+ * @param {object} state - From StarSystem.getViewState().
+ * @returns {Promise<string>}
+ */
+export async function encodeViewState(state) {
+    const json = new TextEncoder().encode(JSON.stringify(state));
+    const compressed = await pipe(json, new CompressionStream('deflate-raw'));
+
+    let binary = '';
+    for (const byte of compressed) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Unpacks a string from encodeViewState(). The result still needs validateViewState().
+ * @param {string} text - The encoded state.
+ * @returns {Promise<object>} The parsed view state.
+ * @throws {Error} If the text is not an encoded view state.
+ */
+export async function decodeViewState(text) {
+    try {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const compressed = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const json = await pipe(compressed, new DecompressionStream('deflate-raw'));
+        return JSON.parse(new TextDecoder().decode(json));
+    } catch (error) {
+        throw new Error(`Invalid view state: the link is damaged or incomplete (${error.message}).`);
+    }
+}
+
+/**
+ * Private helper that runs bytes through a compression or decompression stream.
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipe(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isNumberArray(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(isFiniteNumber);
+}
@@ -1,9 +1,24 @@
-import { loadPLY } from './PLYLoader.js';
+import { loadModel } from './ModelLoader.js';
 import { vertexShaderSource, fragmentShaderSource, compileShader, createShaderProgram } from './shaders.js';
 import { StarSystem } from './StarSystem.js';
+import { Input } from './Input.js';
+import { loadScene } from './SceneLoader.js';
+import { encodeViewState, decodeViewState } from './ViewState.js';
 
 const { mat4 } = window;
 
+/**
+ * The models every scene can use, by mesh name.
+ */
+const BUILT_IN_MESHES = {
+    cone: './Objects/cone.ply',
+    icosphere: './Objects/icosphere.ply',
+    monkey: './Objects/monkey.ply',
+    sphere: './Objects/sphere.ply',
+    torus: './Objects/torus.ply',
+    cylinder: './Objects/cylinder.ply',
+};
+
 /**
  * Initializes the WebGL context, shaders, and program.
  * @returns {object} An object containing gl, the program, and shader locations.
@@ -11,29 +26,13 @@ const { mat4 } = window;
 function initGL() {
     mat4.create(); // Ensure mat4 is loaded
     const canvas = document.getElementById('star-system-canvas');
-    const gl = canvas.getContext('webgl');
+    // Opaque: the alpha channel is free to carry the glow for bloom (see shaders.js)
+    const gl = canvas.getContext('webgl', { alpha: false });
     if (!gl) {
         console.error("WebGL not supported!");
         return null;
     }
 
-    // --- NEW CODE TO FIX PIXELATION ---
-    // 1. Get the size the browser is DISPLAYING the canvas (set by CSS).
-    const displayWidth = canvas.clientWidth;
-    const displayHeight = canvas.clientHeight;
-
-    // 2. Check if the canvas's internal drawing buffer size is different.
-    if (canvas.width !== displayWidth ||
-        canvas.height !== displayHeight) {
-
-        // 3. Make the drawing buffer size match the display size.
-        // This stops the browser from stretching a tiny 300x150 image.
-        canvas.width = displayWidth;
-        canvas.height = displayHeight;
-    }
-    // --- END NEW CODE ---
-
-
     const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexShaderSource);
     const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSource);
     if (!vertexShader || !fragmentShader) {
@@ -48,16 +47,14 @@ function initGL() {
     gl.useProgram(program);
 
     // --- Global WebGL Settings ---
-    // Set the viewport to match the canvas size (which is now correct)
-    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
     // Enable the depth test (renders objects in front correctly)
     gl.enable(gl.DEPTH_TEST);
-    // Clear the canvas to a dark color (a very dark grey)
-    gl.clearColor(0.1, 0.1, 0.1, 1.0);
+    // Clear the canvas to a dark color (a very dark grey) that does not glow
+    gl.clearColor(0.1, 0.1, 0.1, 0.0);
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-    // We can set this once since the light never moves.
-    // The star (our light) is at the world origin [0, 0, 0].
+    // The star (our light) starts at the world origin. It can move, e.g. under gravity,
+    // so StarSystem._draw() sets this again every frame.
     const lightPositionLocation = gl.getUniformLocation(program, 'u_LightPosition');
     gl.uniform3fv(lightPositionLocation, [0.0, 0.0, 0.0]);
 
@@ -70,6 +67,8 @@ function initGL() {
         attribLocations: {
             position: gl.getAttribLocation(program, 'a_Position'),
             normal: gl.getAttribLocation(program, 'a_Normal'),
+            color: gl.getAttribLocation(program, 'a_Color'),
+            texCoord: gl.getAttribLocation(program, 'a_TexCoord'),
         },
         uniformLocations: {
             projectionMatrix: gl.getUniformLocation(program, 'u_ProjectionMatrix'),
@@ -77,10 +76,29 @@ function initGL() {
             modelMatrix: gl.getUniformLocation(program, 'u_ModelMatrix'),
             color: gl.getUniformLocation(program, 'u_Color'),
             lightPosition: lightPositionLocation,
-            isEmissive: gl.getUniformLocation(program, 'u_isEmissive'),
+            cameraPosition: gl.getUniformLocation(program, 'u_CameraPosition'),
+            ambient: gl.getUniformLocation(program, 'u_Ambient'),
+            diffuse: gl.getUniformLocation(program, 'u_Diffuse'),
+            specularColor: gl.getUniformLocation(program, 'u_SpecularColor'),
+            shininess: gl.getUniformLocation(program, 'u_Shininess'),
+            emissive: gl.getUniformLocation(program, 'u_Emissive'),
+            diffuseMap: gl.getUniformLocation(program, 'u_DiffuseMap'),
+            useDiffuseMap: gl.getUniformLocation(program, 'u_UseDiffuseMap'),
+            emissiveMap: gl.getUniformLocation(program, 'u_EmissiveMap'),
+            useEmissiveMap: gl.getUniformLocation(program, 'u_UseEmissiveMap'),
+            shadowMap: gl.getUniformLocation(program, 'u_ShadowMap'),
+            useShadows: gl.getUniformLocation(program, 'u_UseShadows'),
+            shadowBias: gl.getUniformLocation(program, 'u_ShadowBias'),
+            shadowFar: gl.getUniformLocation(program, 'u_ShadowFar'),
+            highlight: gl.getUniformLocation(program, 'u_Highlight'),
         },
     };
 
+    // The samplers always read from the same texture units
+    gl.uniform1i(programInfo.uniformLocations.diffuseMap, 0);
+    gl.uniform1i(programInfo.uniformLocations.emissiveMap, 1);
+    gl.uniform1i(programInfo.uniformLocations.shadowMap, 2);
+
     return { gl, programInfo };
 }
 
@@ -93,96 +111,146 @@ async function main() {
         return; // Initialization failed
     }
 
-    // --- 2. Load All Models ---
+    // --- 2. Load the Scene Description ---
     try {
-        const [
-            coneModel,
-            icosphereModel,
-            monkeyModel,
-            sphereModel,
-            torusModel,
-            cylinderModel
-        ] = await Promise.all([
-            loadPLY('./Objects/cone.ply'),
-            loadPLY('./Objects/icosphere.ply'),
-            loadPLY('./Objects/monkey.ply'),
-            loadPLY('./Objects/sphere.ply'),
-            loadPLY('./Objects/torus.ply'),
-            loadPLY('./Objects/cylinder.ply')
-        ]);
+        // The scene file can be chosen with ?scene=<url>, otherwise the default one is used
+        const sceneUrl = new URLSearchParams(window.location.search).get('scene')
+            || './Scenes/default.json';
+        const scene = await loadScene(sceneUrl, Object.keys(BUILT_IN_MESHES));
+
+        // --- 3. Load All Models ---
+        // The built-in ones plus any the scene brings along
+        const meshUrls = { ...BUILT_IN_MESHES, ...scene.meshes };
+        const meshNames = Object.keys(meshUrls);
+        const loadedModels = await Promise.all(meshNames.map(name => loadModel(meshUrls[name])));
 
         console.log('All models loaded successfully!');
 
         // Store models in a clean object
-        const models = {
-            cone: coneModel,
-            icosphere: icosphereModel,
-            monkey: monkeyModel,
-            sphere: sphereModel,
-            torus: torusModel,
-            cylinder: cylinderModel
-        };
+        const models = {};
+        meshNames.forEach((name, i) => {
+            models[name] = loadedModels[i];
+        });
 
-        // --- 3. Build Scene & Start ---
+        // --- 4. Build Scene & Start ---
         // Create the main app instance
-        const starSystem = new StarSystem(gl, programInfo, models);
+        const starSystem = new StarSystem(gl, programInfo, models, scene);
 
-        // --- 4. HOOK UP UI BUTTONS (NEW) ---
+        // --- 5. HOOK UP UI BUTTONS (NEW) ---
         const btn3D = document.getElementById('3d-view');
         const btnTop = document.getElementById('top-view');
+        const btnFollow = document.getElementById('follow-view');
+        const btnFree = document.getElementById('free-view');
+        const btnShadows = document.getElementById('shadows');
+        const btnBloom = document.getElementById('bloom');
+        const btnBackground = document.getElementById('background');
+        const btnOrbits = document.getElementById('orbits');
+        const btnTrails = document.getElementById('trails');
+        const btnBelts = document.getElementById('belts');
+        const btnFullscreen = document.getElementById('fullscreen');
         const canvas = document.getElementById('star-system-canvas');
 
         // Set initial active state
-        btn3D.classList.add('active');
+        btnShadows.classList.toggle('active', starSystem.shadowsEnabled);
+        const bloomPass = starSystem.postProcessor.getPass('bloom');
+        btnBloom.classList.toggle('active', starSystem.postProcessor.enabled && bloomPass.enabled);
+        btnBackground.classList.toggle('active', starSystem.showBackground);
+        btnOrbits.classList.toggle('active', starSystem.showOrbitPaths);
+        btnTrails.classList.toggle('active', starSystem.showTrails);
+        btnBelts.classList.toggle('active', starSystem.showBelts);
+        btnBelts.hidden = starSystem.belts.length === 0;
+
+        // -- 5.5 HOOK UP EVENT LISTENERS ---
+        const showMode = () => {
+            const mode = starSystem.cameraMode;
+            btn3D.classList.toggle('active', mode === '3D');
+            btnTop.classList.toggle('active', mode === 'TOP');
+            btnFollow.classList.toggle('active', mode === 'FOLLOW');
+            btnFree.classList.toggle('active', mode === 'FREE');
+        };
+        showMode();
+        starSystem.addEventListener('restore', showMode);
 
-        // -- 4.5 HOOK UP EVENT LISTENERS ---
-        let mode = '3D';
         btn3D.addEventListener('click', () => {
             starSystem.setCameraMode('3D');
-            mode = '3D';
-            btn3D.classList.add('active');
-            btnTop.classList.remove('active');
+            showMode();
         });
 
         btnTop.addEventListener('click', () => {
             starSystem.setCameraMode('TOP');
-            mode = 'TOP';
-            btnTop.classList.add('active');
-            btn3D.classList.remove('active');
+            showMode();
         });
 
-        let trackMouseMovement = false;
-        canvas.addEventListener('click', async () => {
-            if (mode === '3D') {
-                trackMouseMovement = !trackMouseMovement;
-                await canvas.requestPointerLock();
-            }
+        btnFollow.addEventListener('click', () => {
+            // Follows the selected body, or the last one followed
+            starSystem.setCameraMode('FOLLOW');
+            showMode();
+        });
+
+        btnFree.addEventListener('click', () => {
+            starSystem.setCameraMode('FREE');
+            showMode();
         });
 
-        canvas.addEventListener('mousemove', (event) => {
-            if (document.pointerLockElement === canvas && trackMouseMovement) {
-                const movementX = event.movementX || 0;
-                const movementY = event.movementY || 0;
-                starSystem.handleMouseMovement(movementX, movementY);
+        // While following, selecting another body moves the camera over to it
+        starSystem.addEventListener('select', (event) => {
+            if (starSystem.cameraMode === 'FOLLOW' && event.detail.body) {
+                starSystem.follow(event.detail.body);
             }
         });
 
-        canvas.addEventListener('wheel', (event) => {
-            if (mode === '3D' && trackMouseMovement) {
-                // Stop the browser window from scrolling
-                event.preventDefault();
+        btnShadows.addEventListener('click', () => {
+            starSystem.setShadowsEnabled(!starSystem.shadowsEnabled);
+            btnShadows.classList.toggle('active', starSystem.shadowsEnabled);
+        });
+
+        btnBloom.addEventListener('click', () => {
+            // Bloom needs the offscreen pipeline, so turning it on also turns that on
+            bloomPass.enabled = !btnBloom.classList.contains('active');
+            if (bloomPass.enabled) starSystem.postProcessor.enabled = true;
+            btnBloom.classList.toggle('active', bloomPass.enabled);
+        });
 
-                // Pass the event to the StarSystem
-                starSystem.handleMouseScroll(event);
-            }
+        btnBackground.addEventListener('click', () => {
+            starSystem.showBackground = !starSystem.showBackground;
+            btnBackground.classList.toggle('active', starSystem.showBackground);
         });
 
-        document.addEventListener('pointerlockchange', () => {
-            if (document.pointerLockElement !== canvas) {
-                trackMouseMovement = false;
-            }
+        btnOrbits.addEventListener('click', () => {
+            starSystem.showOrbitPaths = !starSystem.showOrbitPaths;
+            btnOrbits.classList.toggle('active', starSystem.showOrbitPaths);
         });
 
+        btnTrails.addEventListener('click', () => {
+            starSystem.showTrails = !starSystem.showTrails;
+            btnTrails.classList.toggle('active', starSystem.showTrails);
+        });
+
+        btnBelts.addEventListener('click', () => {
+            starSystem.showBelts = !starSystem.showBelts;
+            btnBelts.classList.toggle('active', starSystem.showBelts);
+        });
+
+        // The whole page goes fullscreen, controls included
+        const container = document.getElementById('container');
+        btnFullscreen.addEventListener('click', () => {
+            if (document.fullscreenElement) document.exitFullscreen();
+            else container.requestFullscreen();
+        });
+        document.addEventListener('fullscreenchange', () => {
+            btnFullscreen.classList.toggle('active', document.fullscreenElement === container);
+        });
+
+        // Mouse, keyboard, touch and gamepad all drive the camera through here
+        new Input(canvas, starSystem);
+
+        watchCanvasSize(canvas, starSystem);
+        setUpInfoPanel(starSystem);
+        setUpTimeControls(starSystem);
+        setUpCapture(starSystem);
+        // A shared link's moment and view, before the first frame
+        await setUpViewSharing(starSystem);
+
         // Start the render loop!
         console.log("Starting render loop...");
         starSystem.start();
@@ -192,5 +260,249 @@ async function main() {
     }
 }
 
+/**
+ * Keeps the drawing buffer matched to the canvas' displayed size and pixel density,
+ * through window resizes, fullscreen and moves between screens.
+ * @param {HTMLCanvasElement} canvas - The canvas to watch.
+ * @param {StarSystem} starSystem - The system drawing into it.
+ */
+function watchCanvasSize(canvas, starSystem) {
+    const observer = new ResizeObserver(([entry]) => {
+        // The content box leaves out the canvas' border
+        const box = entry.contentBoxSize ? entry.contentBoxSize[0] : null;
+        const width = box ? box.inlineSize : entry.contentRect.width;
+        const height = box ? box.blockSize : entry.contentRect.height;
+        starSystem.resize(width, height, window.devicePixelRatio || 1);
+    });
+
+    // Watching device pixels also reports pixel ratio changes (browser zoom, another screen),
+    // where the browser supports it
+    try {
+        observer.observe(canvas, { box: 'device-pixel-content-box' });
+    } catch {
+        observer.observe(canvas);
+    }
+}
+
+/**
+ * Shows the selected body's details, refreshed every frame while something is selected.
+ * @param {StarSystem} starSystem - The system to follow.
+ */
+function setUpInfoPanel(starSystem) {
+    const panel = document.getElementById('info-panel');
+    const title = document.getElementById('info-name');
+    const details = document.getElementById('info-details');
+
+    document.getElementById('info-close').addEventListener('click', () => starSystem.select(null));
+
+    starSystem.addEventListener('select', (event) => {
+        panel.hidden = !event.detail.body;
+    });
+
+    const format = (value, unit) => value === null ? '-' : `${value.toFixed(2)}${unit}`;
+    const refresh = () => {
+        if (starSystem.selected) {
+            const info = starSystem.getBodyInfo(starSystem.selected);
+            title.textContent = info.name;
+            const rows = [
+                ['Orbits', info.parent ?? '-'],
+                ['Orbit radius', format(info.orbitRadius, '')],
+                info.speed === null
+                    ? ['Orbit speed', format(info.orbitSpeed, ' rad/s')]
+                    : ['Speed', format(info.speed, ' /s')],
+                ['Spin', format(info.rotationSpeed, ' rad/s')],
+                ['Angle', format(info.angle, '°')],
+                ['Distance from star', format(info.distanceFromStar, '')],
+            ];
+            details.replaceChildren(...rows.flatMap(([label, value]) => {
+                const term = document.createElement('dt');
+                const definition = document.createElement('dd');
+                term.textContent = label;
+                definition.textContent = value;
+                return [term, definition];
+            }));
+        }
+        requestAnimationFrame(refresh);
+    };
+    requestAnimationFrame(refresh);
+}
+
+/**
+ * Wires up pause, stepping, reverse and speed, and keeps the simulation time readout current.
+ * @param {StarSystem} starSystem - The system whose clock to drive.
+ */
+function setUpTimeControls(starSystem) {
+    const clock = starSystem.clock;
+    const btnPlayPause = document.getElementById('play-pause');
+    const btnReverse = document.getElementById('reverse');
+    const scaleLabel = document.getElementById('time-scale');
+    const timeLabel = document.getElementById('sim-time');
+
+    // Speeds double or halve, between 1/16 and 64 times real time
+    const MIN_SPEED = 1 / 16;
+    const MAX_SPEED = 64;
+    const setSpeed = (speed) => {
+        speed = Math.min(MAX_SPEED, Math.max(MIN_SPEED, speed));
+        clock.setTimeScale(Math.sign(clock.timeScale || 1) * speed);
+        showState();
+    };
+
+    const showState = () => {
+        btnPlayPause.innerHTML = clock.paused ? '&#x25B6;' : '&#x23F8;';
+        btnPlayPause.title = clock.paused ? 'Play' : 'Pause';
+        btnReverse.classList.toggle('active', clock.timeScale < 0);
+        const speed = Math.abs(clock.timeScale);
+        scaleLabel.textContent = `×${speed < 1 ? `1/${Math.round(1 / speed)}` : speed}`;
+    };
+
+    btnPlayPause.addEventListener('click', () => {
+        if (clock.paused) clock.play();
+        else clock.pause();
+        showState();
+    });
+    document.getElementById('step-back').addEventListener('click', () => {
+        clock.pause();
+        clock.step(-1);
+        showState();
+    });
+    document.getElementById('step-forward').addEventListener('click', () => {
+        clock.pause();
+        clock.step(1);
+        showState();
+    });
+    btnReverse.addEventListener('click', () => {
+        clock.setTimeScale(-clock.timeScale);
+        showState();
+    });
+    document.getElementById('slower').addEventListener('click', () => setSpeed(Math.abs(clock.timeScale) / 2));
+    document.getElementById('faster').addEventListener('click', () => setSpeed(Math.abs(clock.timeScale) * 2));
+
+    const refresh = () => {
+        timeLabel.textContent = `t = ${clock.time.toFixed(1)} s`;
+        requestAnimationFrame(refresh);
+    };
+    requestAnimationFrame(refresh);
+    showState();
+    starSystem.addEventListener('restore', showState);
+}
+
+/**
+ * Wires up the screenshot and video recording buttons.
+ * @param {StarSystem} starSystem - The system to capture.
+ */
+function setUpCapture(starSystem) {
+    const btnScreenshot = document.getElementById('screenshot');
+    const btnRecord = document.getElementById('record');
+    const canvas = starSystem.gl.canvas;
+
+    // Named after the simulation time, so captures of the same moment line up
+    const fileName = (extension) => `star-system-t${starSystem.clock.time.toFixed(1)}.${extension}`;
+
+    btnScreenshot.addEventListener('click', async () => {
+        try {
+            // Twice the drawing buffer, for prints and slides
+            const blob = await starSystem.captureFrame({ width: canvas.width * 2, height: canvas.height * 2 });
+            download(blob, fileName('png'));
+        } catch (error) {
+            console.error('Screenshot failed:', error);
+        }
+    });
+
+    btnRecord.addEventListener('click', async () => {
+        if (btnRecord.classList.contains('active')) {
+            starSystem.stopRecording();
+            return;
+        }
+        const name = fileName('webm');
+        btnRecord.classList.add('active');
+        btnRecord.textContent = 'Stop';
+        try {
+            const blob = await starSystem.record({ format: 'webm', frameRate: 60 });
+            download(blob, name);
+        } catch (error) {
+            console.error('Recording failed:', error);
+        } finally {
+            btnRecord.classList.remove('active');
+            btnRecord.textContent = 'Record';
+        }
+    });
+}
+
+/**
+ * Shares views as links and files: the Share button puts the current view in the page's
+ * hash (#view=...) and copies the link, Save View downloads it as JSON and Load View
+ * reads such a file back. Links are restored on load and whenever the hash changes.
+ * @param {StarSystem} starSystem - The system whose view to share.
+ * @returns {Promise} Settles once the view in the link, if any, is restored.
+ */
+async function setUpViewSharing(starSystem) {
+    const HASH_PREFIX = '#view=';
+    const fileInput = document.getElementById('view-file');
+
+    const restoreFromHash = async () => {
+        if (window.location.hash.startsWith(HASH_PREFIX)) {
+            try {
+                starSystem.setViewState(await decodeViewState(window.location.hash.slice(HASH_PREFIX.length)));
+            } catch (error) {
+                console.error('Could not restore the view from the link:', error);
+            }
+        }
+    };
+
+    document.getElementById('share').addEventListener('click', async () => {
+        try {
+            const hash = HASH_PREFIX + await encodeViewState(starSystem.getViewState());
+            // Replacing keeps the back button from stepping through every share
+            history.replaceState(null, '', hash);
+        } catch (error) {
+            console.error('Could not make a link to the view:', error);
+            return;
+        }
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+        } catch (error) {
+            console.warn('Could not copy the link, it is in the address bar:', error);
+        }
+    });
+
+    document.getElementById('save-view').addEventListener('click', () => {
+        const json = JSON.stringify(starSystem.getViewState(), null, 2);
+        const name = `view-t${starSystem.clock.time.toFixed(1)}.json`;
+        download(new Blob([json], { type: 'application/json' }), name);
+    });
+
+    document.getElementById('load-view').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        // Cleared, so choosing the same file again still counts as a change
+        fileInput.value = '';
+        if (file) {
+            try {
+                starSystem.setViewState(JSON.parse(await file.text()));
+            } catch (error) {
+                console.error(`Could not restore the view from ${file.name}:`, error);
+            }
+        }
+    });
+
+    window.addEventListener('hashchange', restoreFromHash);
+    await restoreFromHash();
+}
+
+/**
+ * Saves a file through the browser's downloads.
+ * @param {Blob} blob - The file's contents.
+ * @param {string} name - The suggested file name.
+ */
+function download(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    // Give the download a moment to start before letting go of the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // Start the application once the DOM is loaded
 document.addEventListener('DOMContentLoaded', main);
\ No newline at end of file
@@ -1,6 +1,8 @@
 export const vertexShaderSource = `
     attribute vec4 a_Position;
     attribute vec3 a_Normal; // <-- ADDED: The normal vector from the model
+    attribute vec4 a_Color;  // Per-vertex color (constant white when the model has none)
+    attribute vec2 a_TexCoord; // Texture coordinates (s, t)
 
     uniform mat4 u_ModelMatrix;
     uniform mat4 u_ViewMatrix;
@@ -8,6 +10,8 @@ export const vertexShaderSource = `
 
     varying vec3 v_Normal; // <-- ADDED: Pass normal to fragment shader
     varying vec3 v_WorldPosition; // <-- ADDED: Pass world pos to fragment shader
+    varying vec4 v_Color;
+    varying vec2 v_TexCoord;
 
     void main() {
         gl_Position = u_ProjectionMatrix * u_ViewMatrix * u_ModelMatrix * a_Position;
@@ -18,42 +22,474 @@ export const vertexShaderSource = `
         // Transform the normal into world space and pass it on.
         // We use mat3(u_ModelMatrix) to only get rotation, not translation.
         v_Normal = mat3(u_ModelMatrix) * a_Normal;
+
+        v_Color = a_Color;
+        v_TexCoord = a_TexCoord;
+    }
+`;
+
+/**
+ * Draws many copies of one small mesh in a single call (see Belt.js), shaded by the
+ * fragment shader above. Each copy circles the belt's center at its own radius and
+ * speed and tumbles about its own axis, all worked out here from u_Time, so moving
+ * thousands of rocks costs the CPU nothing.
+ */
+export const instancedVertexShaderSource = `
+    attribute vec4 a_Position;
+    attribute vec3 a_Normal;
+
+    // Per instance
+    attribute vec4 a_Orbit;  // radius, starting angle, height above the plane, angular speed
+    attribute vec4 a_Spin;   // tumbling axis (unit vector), tumbling speed
+    attribute vec4 a_Color;
+    attribute float a_Size;
+
+    uniform mat4 u_ModelMatrix; // Places and tilts the whole belt
+    uniform mat4 u_ViewMatrix;
+    uniform mat4 u_ProjectionMatrix;
+    uniform float u_Time;       // Simulated seconds
+
+    varying vec3 v_Normal;
+    varying vec3 v_WorldPosition;
+    varying vec4 v_Color;
+    varying vec2 v_TexCoord;
+
+    // Rodrigues' rotation formula
+    vec3 rotate(vec3 v, vec3 axis, float angle) {
+        float c = cos(angle);
+        float s = sin(angle);
+        return v * c + cross(axis, v) * s + axis * dot(axis, v) * (1.0 - c);
+    }
+
+    void main() {
+        // 1. Tumble the rock about its own axis
+        float spinAngle = a_Spin.w * u_Time + a_Orbit.y;
+        vec3 local = rotate(a_Position.xyz * a_Size, a_Spin.xyz, spinAngle);
+        vec3 normal = rotate(a_Normal, a_Spin.xyz, spinAngle);
+
+        // 2. Move it along its circular orbit, counter-clockwise seen from above (see Kepler.js)
+        float angle = a_Orbit.y + a_Orbit.w * u_Time;
+        vec3 center = vec3(a_Orbit.x * cos(angle), a_Orbit.z, -a_Orbit.x * sin(angle));
+
+        vec4 worldPosition = u_ModelMatrix * vec4(local + center, 1.0);
+        gl_Position = u_ProjectionMatrix * u_ViewMatrix * worldPosition;
+
+        v_WorldPosition = worldPosition.xyz;
+        v_Normal = mat3(u_ModelMatrix) * normal;
+        v_Color = a_Color;
+        v_TexCoord = vec2(0.0);
     }
 `;
 
 export const fragmentShaderSource = `
+    // The shadow lookup compares distances, which need more than mediump's precision
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
     precision mediump float;
+    #endif
 
     uniform vec4 u_Color;
     uniform vec3 u_LightPosition;
-    uniform bool u_isEmissive; // <-- ADD THIS
+    uniform vec3 u_CameraPosition; // For the specular highlight
+
+    // The object's Material (see Material.js)
+    uniform float u_Ambient;
+    uniform float u_Diffuse;
+    uniform vec3 u_SpecularColor;
+    uniform float u_Shininess;
+    uniform float u_Emissive;
+
+    // Optional textures, only sampled once their images have loaded
+    uniform sampler2D u_DiffuseMap;
+    uniform bool u_UseDiffuseMap;
+    uniform sampler2D u_EmissiveMap; // Night-side lights, shown where the sun does not reach
+    uniform bool u_UseEmissiveMap;
+
+    // Distances from the star to the nearest surface, see ShadowMap.js
+    uniform samplerCube u_ShadowMap;
+    uniform bool u_UseShadows;
+    uniform float u_ShadowBias;
+    uniform float u_ShadowFar;
+
+    uniform float u_Highlight; // 1 for the selected object
 
     varying vec3 v_Normal;
     varying vec3 v_WorldPosition;
+    varying vec4 v_Color;
+    varying vec2 v_TexCoord;
+
+    float unpackDepth(vec4 channels) {
+        return dot(channels, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+    }
+
+    // 1.0 where the star is visible from this fragment, 0.0 where another body blocks it
+    float shadowFactor() {
+        vec3 fromLight = v_WorldPosition - u_LightPosition;
+        float occluderDistance = unpackDepth(textureCube(u_ShadowMap, fromLight)) * u_ShadowFar;
+        return length(fromLight) - u_ShadowBias > occluderDistance ? 0.0 : 1.0;
+    }
 
     void main() {
-        if (u_isEmissive) {
-            // --- This is the star ---
-            // Just draw its full, bright color and ignore lighting
-            gl_FragColor = u_Color;
-        } else {
-            // --- This is a planet (or other object) ---
-            // 1. Calculate direction from this fragment to the light
-            vec3 lightDirection = normalize(u_LightPosition - v_WorldPosition);
-            
-            // 2. Normalize the surface normal
-            vec3 normal = normalize(v_Normal);
-            
-            // 3. Calculate the diffuse factor
-            float diffuse = max(dot(normal, lightDirection), 0.0);
-            
-            // 4. Add a little ambient light
-            float ambient = 0.2;
-            
-            // 5. Combine and apply
-            vec3 finalColor = u_Color.rgb * (ambient + diffuse);
-            gl_FragColor = vec4(finalColor, u_Color.a);
+        // The object's tint times the model's own vertex colors (and its texture)
+        vec4 baseColor = u_Color * v_Color;
+        if (u_UseDiffuseMap) {
+            baseColor *= texture2D(u_DiffuseMap, v_TexCoord);
         }
+
+        // 1. Calculate direction from this fragment to the light, and to the camera
+        vec3 lightDirection = normalize(u_LightPosition - v_WorldPosition);
+        vec3 viewDirection = normalize(u_CameraPosition - v_WorldPosition);
+
+        // 2. Normalize the surface normal
+        vec3 normal = normalize(v_Normal);
+
+        // 3. Calculate the diffuse factor, dimmed inside another body's shadow
+        float lambert = max(dot(normal, lightDirection), 0.0);
+        if (u_UseShadows && lambert > 0.0) {
+            lambert *= shadowFactor();
+        }
+
+        // 4. Blinn-Phong specular, using the half-way vector (none on the unlit side)
+        vec3 halfway = normalize(lightDirection + viewDirection);
+        float specular = lambert > 0.0 ? pow(max(dot(normal, halfway), 0.0), u_Shininess) : 0.0;
+
+        // 5. Combine and apply (the star is all emissive, so it ignores the light)
+        vec3 finalColor = baseColor.rgb * (u_Ambient + u_Diffuse * lambert)
+            + u_SpecularColor * specular
+            + baseColor.rgb * u_Emissive;
+
+        // 6. City lights fade in as the surface turns away from the star (or is eclipsed)
+        float glow = u_Emissive;
+        if (u_UseEmissiveMap) {
+            float night = 1.0 - smoothstep(0.0, 0.25, lambert);
+            vec3 lights = texture2D(u_EmissiveMap, v_TexCoord).rgb * night;
+            finalColor += lights;
+            glow = max(glow, dot(lights, vec3(0.299, 0.587, 0.114)));
+        }
+
+        // 7. Outline the selected object with a rim of light along its silhouette
+        float rim = 1.0 - max(dot(normal, viewDirection), 0.0);
+        finalColor += vec3(0.3, 0.6, 1.0) * pow(rim, 2.0) * u_Highlight;
+
+        // 8. Alpha carries how much the fragment glows, for the bloom pass (see PostPasses.js).
+        // The canvas is opaque, so nothing else reads it.
+        gl_FragColor = vec4(finalColor, clamp(glow, 0.0, 1.0));
+    }
+`;
+
+/**
+ * Renders distances from the star into the shadow cube map (see ShadowMap.js).
+ * WebGL 1 cannot render depth into a cube map, so the distance divided by u_Far is
+ * packed into the four 8-bit channels of an ordinary color texture instead.
+ */
+export const shadowVertexShaderSource = `
+    attribute vec4 a_Position;
+
+    uniform mat4 u_ModelMatrix;
+    uniform mat4 u_ViewMatrix;
+    uniform mat4 u_ProjectionMatrix;
+
+    varying vec3 v_WorldPosition;
+
+    void main() {
+        v_WorldPosition = (u_ModelMatrix * a_Position).xyz;
+        gl_Position = u_ProjectionMatrix * u_ViewMatrix * vec4(v_WorldPosition, 1.0);
+    }
+`;
+
+export const shadowFragmentShaderSource = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+
+    uniform vec3 u_LightPosition;
+    uniform float u_Far;
+
+    varying vec3 v_WorldPosition;
+
+    vec4 packDepth(float depth) {
+        vec4 channels = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));
+        // Remove what the next channel already stores, so unpacking does not count it twice
+        return channels - channels.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+    }
+
+    void main() {
+        // 1.0 itself would wrap around to 0.0, so stop just short of it
+        float depth = min(length(v_WorldPosition - u_LightPosition) / u_Far, 0.999999);
+        gl_FragColor = packDepth(depth);
+    }
+`;
+
+/**
+ * Background stars as point sprites (see Background.js). The view matrix has no
+ * translation, so the stars stay put however far the camera moves: they are at infinity.
+ */
+export const starfieldVertexShaderSource = `
+    attribute vec3 a_Position; // Direction of the star, a unit vector
+    attribute vec4 a_Color;    // Tint in rgb, brightness in a
+    attribute float a_Size;    // Sprite diameter, in CSS pixels
+
+    uniform mat4 u_ViewMatrix;
+    uniform mat4 u_ProjectionMatrix;
+    uniform float u_PointScale; // Canvas pixels per CSS pixel
+
+    varying vec4 v_Color;
+
+    void main() {
+        gl_Position = u_ProjectionMatrix * u_ViewMatrix * vec4(a_Position, 1.0);
+        gl_PointSize = a_Size * u_PointScale;
+        v_Color = a_Color;
+    }
+`;
+
+export const starfieldFragmentShaderSource = `
+    precision mediump float;
+
+    varying vec4 v_Color;
+
+    void main() {
+        // Round sprites that fade towards their edge, instead of squares
+        float distanceFromCenter = length(gl_PointCoord - 0.5) * 2.0;
+        float falloff = 1.0 - smoothstep(0.0, 1.0, distanceFromCenter);
+        float brightness = v_Color.a * falloff;
+
+        // Blended additively; bright stars glow a little under bloom
+        gl_FragColor = vec4(v_Color.rgb * brightness, brightness);
+    }
+`;
+
+/**
+ * A cube map around the camera, also at infinity.
+ */
+export const skyboxVertexShaderSource = `
+    attribute vec3 a_Position; // A corner of the unit cube, which is also the view direction
+
+    uniform mat4 u_ViewMatrix;
+    uniform mat4 u_ProjectionMatrix;
+
+    varying vec3 v_Direction;
+
+    void main() {
+        v_Direction = a_Position;
+        gl_Position = u_ProjectionMatrix * u_ViewMatrix * vec4(a_Position, 1.0);
+    }
+`;
+
+export const skyboxFragmentShaderSource = `
+    precision mediump float;
+
+    uniform samplerCube u_Skybox;
+
+    varying vec3 v_Direction;
+
+    void main() {
+        // Alpha 0: the sky does not glow
+        gl_FragColor = vec4(textureCube(u_Skybox, v_Direction).rgb, 0.0);
+    }
+`;
+
+/**
+ * Orbit paths and motion trails (see Lines.js): flat-colored lines that fade out
+ * wherever a_Alpha drops.
+ */
+export const lineVertexShaderSource = `
+    attribute vec3 a_Position;
+    attribute float a_Alpha;
+
+    uniform mat4 u_ModelMatrix;
+    uniform mat4 u_ViewMatrix;
+    uniform mat4 u_ProjectionMatrix;
+
+    varying float v_Alpha;
+
+    void main() {
+        gl_Position = u_ProjectionMatrix * u_ViewMatrix * u_ModelMatrix * vec4(a_Position, 1.0);
+        v_Alpha = a_Alpha;
+    }
+`;
+
+export const lineFragmentShaderSource = `
+    precision mediump float;
+
+    uniform vec4 u_Color;
+
+    varying float v_Alpha;
+
+    void main() {
+        gl_FragColor = vec4(u_Color.rgb, u_Color.a * v_Alpha);
+    }
+`;
+
+/**
+ * Covers the viewport with one quad, for post-processing (see PostProcessor.js).
+ * Every full-screen fragment shader below reads v_TexCoord.
+ */
+export const fullScreenVertexShaderSource = `
+    attribute vec2 a_Position;
+
+    varying vec2 v_TexCoord;
+
+    void main() {
+        v_TexCoord = a_Position * 0.5 + 0.5;
+        gl_Position = vec4(a_Position, 0.0, 1.0);
+    }
+`;
+
+export const copyFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_Input;
+
+    varying vec2 v_TexCoord;
+
+    void main() {
+        gl_FragColor = vec4(texture2D(u_Input, v_TexCoord).rgb, 1.0);
+    }
+`;
+
+/**
+ * Bloom, step 1: keeps only what glows, weighted by the glow the scene stored in alpha.
+ */
+export const bloomExtractFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_Input;
+
+    varying vec2 v_TexCoord;
+
+    void main() {
+        vec4 scene = texture2D(u_Input, v_TexCoord);
+        gl_FragColor = vec4(scene.rgb * scene.a, 1.0);
+    }
+`;
+
+/**
+ * Bloom, step 2: a 9-tap Gaussian blur along u_Direction (one texel step, times the spread).
+ * Running it horizontally and then vertically blurs in both directions.
+ */
+export const blurFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_Input;
+    uniform vec2 u_Direction;
+
+    varying vec2 v_TexCoord;
+
+    void main() {
+        vec3 sum = texture2D(u_Input, v_TexCoord).rgb * 0.227027;
+        sum += texture2D(u_Input, v_TexCoord + u_Direction * 1.0).rgb * 0.1945946;
+        sum += texture2D(u_Input, v_TexCoord - u_Direction * 1.0).rgb * 0.1945946;
+        sum += texture2D(u_Input, v_TexCoord + u_Direction * 2.0).rgb * 0.1216216;
+        sum += texture2D(u_Input, v_TexCoord - u_Direction * 2.0).rgb * 0.1216216;
+        sum += texture2D(u_Input, v_TexCoord + u_Direction * 3.0).rgb * 0.054054;
+        sum += texture2D(u_Input, v_TexCoord - u_Direction * 3.0).rgb * 0.054054;
+        sum += texture2D(u_Input, v_TexCoord + u_Direction * 4.0).rgb * 0.016216;
+        sum += texture2D(u_Input, v_TexCoord - u_Direction * 4.0).rgb * 0.016216;
+        gl_FragColor = vec4(sum, 1.0);
+    }
+`;
+
+/**
+ * Bloom, step 3: adds the blurred glow back on top of the scene.
+ */
+export const bloomCompositeFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_Input;
+    uniform sampler2D u_Bloom;
+    uniform float u_Intensity;
+
+    varying vec2 v_TexCoord;
+
+    void main() {
+        vec3 scene = texture2D(u_Input, v_TexCoord).rgb;
+        vec3 bloom = texture2D(u_Bloom, v_TexCoord).rgb;
+        gl_FragColor = vec4(scene + bloom * u_Intensity, 1.0);
+    }
+`;
+
+/**
+ * Maps the unbounded scene brightness into the displayable [0, 1] range.
+ * u_Operator 0 is Reinhard, 1 is a fit of the ACES filmic curve.
+ */
+export const toneMappingFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_Input;
+    uniform float u_Exposure;
+    uniform int u_Operator;
+
+    varying vec2 v_TexCoord;
+
+    vec3 reinhard(vec3 color) {
+        return color / (1.0 + color);
+    }
+
+    // Krzysztof Narkowicz's curve fit
+    vec3 aces(vec3 color) {
+        return clamp((color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14), 0.0, 1.0);
+    }
+
+    void main() {
+        vec3 color = texture2D(u_Input, v_TexCoord).rgb * u_Exposure;
+        gl_FragColor = vec4(u_Operator == 0 ? reinhard(color) : aces(color), 1.0);
+    }
+`;
+
+/**
+ * Fast approximate anti-aliasing: blurs along edges found from luma differences.
+ * Rendering offscreen loses the canvas' own multisampling, this makes up for it.
+ */
+export const fxaaFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_Input;
+    uniform vec2 u_TexelSize;
+
+    varying vec2 v_TexCoord;
+
+    const float REDUCE_MIN = 1.0 / 128.0;
+    const float REDUCE_MUL = 1.0 / 8.0;
+    const float SPAN_MAX = 8.0;
+    const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+
+    void main() {
+        vec3 rgbNW = texture2D(u_Input, v_TexCoord + vec2(-1.0, -1.0) * u_TexelSize).rgb;
+        vec3 rgbNE = texture2D(u_Input, v_TexCoord + vec2(1.0, -1.0) * u_TexelSize).rgb;
+        vec3 rgbSW = texture2D(u_Input, v_TexCoord + vec2(-1.0, 1.0) * u_TexelSize).rgb;
+        vec3 rgbSE = texture2D(u_Input, v_TexCoord + vec2(1.0, 1.0) * u_TexelSize).rgb;
+        vec3 rgbM = texture2D(u_Input, v_TexCoord).rgb;
+
+        float lumaNW = dot(rgbNW, LUMA);
+        float lumaNE = dot(rgbNE, LUMA);
+        float lumaSW = dot(rgbSW, LUMA);
+        float lumaSE = dot(rgbSE, LUMA);
+        float lumaM = dot(rgbM, LUMA);
+        float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+        float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+        // 1. The edge runs across the steepest luma change
+        vec2 direction = vec2(
+            -((lumaNW + lumaNE) - (lumaSW + lumaSE)),
+            (lumaNW + lumaSW) - (lumaNE + lumaSE)
+        );
+        float directionReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * (0.25 * REDUCE_MUL), REDUCE_MIN);
+        float inverseDirectionMin = 1.0 / (min(abs(direction.x), abs(direction.y)) + directionReduce);
+        direction = clamp(direction * inverseDirectionMin, -SPAN_MAX, SPAN_MAX) * u_TexelSize;
+
+        // 2. Average along it, falling back to the shorter span if the longer one overshoots
+        vec3 rgbA = 0.5 * (
+            texture2D(u_Input, v_TexCoord + direction * (1.0 / 3.0 - 0.5)).rgb +
+            texture2D(u_Input, v_TexCoord + direction * (2.0 / 3.0 - 0.5)).rgb);
+        vec3 rgbB = rgbA * 0.5 + 0.25 * (
+            texture2D(u_Input, v_TexCoord + direction * -0.5).rgb +
+            texture2D(u_Input, v_TexCoord + direction * 0.5).rgb);
+        float lumaB = dot(rgbB, LUMA);
+
+        gl_FragColor = vec4(lumaB < lumaMin || lumaB > lumaMax ? rgbA : rgbB, 1.0);
     }
 `;
 
@@ -88,6 +524,8 @@ function createShaderProgram(gl, vertexShader, fragmentShader) {
     const program = gl.createProgram();
     gl.attachShader(program, vertexShader);
     gl.attachShader(program, fragmentShader);
+    // Attribute 0 must always be enabled on some platforms, and positions always are
+    gl.bindAttribLocation(program, 0, 'a_Position');
     gl.linkProgram(program);
 
     if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {